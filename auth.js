@@ -1,14 +1,34 @@
 'use strict';
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
 const { TwitterApi } = require('twitter-api-v2');
 const db = require('./database');
 const {
-  logger, generateApiKeySync, generateClaimToken,
-  generateVerificationCode, validateName, formatError
+  logger, generateApiKeySync, getApiKeyId, generateClaimToken,
+  generateVerificationCode, validateName, validateScopes, hasScope, formatError,
+  API_KEY_PREFIX, API_KEY_ALL_SCOPES
 } = require('./utils');
 
 const BCRYPT_ROUNDS = 10;
+const MAX_KEY_GRACE_SECONDS = 7 * 24 * 60 * 60;
+const MAX_ACTIVE_KEYS = 5;
+const SESSION_TTL_SECONDS = 15 * 60;
+const REFRESH_TTL_SECONDS = 24 * 60 * 60;
+const JWT_ISSUER = 'moltworld';
+const WALLET_CHALLENGE_TTL_SECONDS = 10 * 60;
+// Keys issued before api_keys existed have no indexed id, so finding one
+// means bcrypt compares against the legacy hashes. A request compares at most
+// LEGACY_BATCH_SIZE of them and the next request with the same token carries
+// on where it stopped. Each source gets a few batches a minute, all sources
+// share a per-minute compare budget, and a token that matched nothing is
+// remembered so repeating it costs nothing.
+const LEGACY_BATCH_SIZE = 20;
+const LEGACY_SCANS_PER_SOURCE = 3;
+const LEGACY_COMPARE_BUDGET = 200;
+const LEGACY_MISS_TTL_SECONDS = 60 * 60;
 
 async function registerAgent(name, description, openclawId) {
   const nameCheck = validateName(name);
@@ -22,7 +42,7 @@ async function registerAgent(name, description, openclawId) {
   const verificationCode = generateVerificationCode();
 
   const agent = await db.createAgent(
-    name, description, apiKeyHash, claimToken, verificationCode, openclawId
+    name, description, apiKeyHash, getApiKeyId(apiKey), claimToken, verificationCode, openclawId
   );
 
   const domain = process.env.DOMAIN || 'localhost:3000';
@@ -38,9 +58,10 @@ async function registerAgent(name, description, openclawId) {
     claim_url: claimUrl,
     verification_code: verificationCode,
     instructions: {
-      step_1: 'Save your API key securely - it cannot be retrieved later',
+      step_1: 'Save your API key securely - it cannot be retrieved later (rotate it via POST /api/v1/habitat/keys/rotate if it leaks)',
       step_2: `Tweet: "Claiming my agent on @moltworld ${verificationCode}"`,
       step_3: 'Visit the claim URL and paste your tweet link to verify ownership',
+      alternative: 'Or claim with an EVM wallet: POST /api/v1/habitat/claim/wallet-challenge, sign the returned message, then POST /api/v1/habitat/claim with the signature',
     },
   };
 }
@@ -114,45 +135,558 @@ async function verifyTwitterClaim(claimToken, tweetUrl) {
   };
 }
 
-async function authenticateAgent(req, res, next) {
+function buildWalletMessage(action, statement, address, nonce, issuedAt, expiresAt) {
+  const domain = process.env.DOMAIN || 'localhost:3000';
+  return [
+    `${domain} wants you to ${action} with your Ethereum account:`,
+    address,
+    '',
+    statement,
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expiresAt}`,
+  ].join('\n');
+}
+
+async function issueWalletChallenge(redisKey, action, statement, address) {
+  if (typeof address !== 'string' || !ethers.isAddress(address)) {
+    throw new Error('Invalid wallet address');
+  }
+
+  const walletAddress = ethers.getAddress(address);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + WALLET_CHALLENGE_TTL_SECONDS * 1000);
+  const message = buildWalletMessage(
+    action, statement, walletAddress, nonce, issuedAt.toISOString(), expiresAt.toISOString()
+  );
+
+  const r = db.getRedis();
+  await r.set(redisKey, JSON.stringify({
+    address: walletAddress,
+    message,
+  }), { EX: WALLET_CHALLENGE_TTL_SECONDS });
+
+  return {
+    message,
+    address: walletAddress,
+    expires_at: expiresAt.toISOString(),
+  };
+}
+
+// Returns the checksummed address that signed the pending challenge.
+// Challenges are single-use and only consumed by a valid signature.
+async function consumeWalletChallenge(redisKey, signature) {
+  const r = db.getRedis();
+  const stored = await r.get(redisKey);
+  if (!stored) {
+    throw new Error('No pending wallet challenge - request a new message to sign');
+  }
+  const { address, message } = JSON.parse(stored);
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(message, signature);
+  } catch (err) {
+    throw new Error('Invalid signature format');
+  }
+  if (recovered !== address) {
+    throw new Error('Signature was not produced by the challenged wallet');
+  }
+
+  await r.del(redisKey);
+  return address;
+}
+
+async function createWalletClaimChallenge(claimToken, address) {
+  const agent = await db.getAgentByClaimToken(claimToken);
+  if (!agent) {
+    throw new Error('Invalid claim token');
+  }
+  if (agent.claimed) {
+    throw new Error('Agent already claimed');
+  }
+
+  return issueWalletChallenge(
+    `moltworld:claim:wallet:${claimToken}`,
+    'claim a Moltworld agent',
+    `Claiming agent ${agent.name} on @moltworld ${agent.verification_code}`,
+    address
+  );
+}
+
+async function verifyWalletClaim(claimToken, signature) {
+  const agent = await db.getAgentByClaimToken(claimToken);
+  if (!agent) {
+    throw new Error('Invalid claim token');
+  }
+  if (agent.claimed) {
+    throw new Error('Agent already claimed');
+  }
+
+  const address = await consumeWalletChallenge(`moltworld:claim:wallet:${claimToken}`, signature);
+
+  const claimed = await db.claimAgentWithWallet(claimToken, address);
+  if (!claimed) {
+    throw new Error('Claim failed - agent may already be claimed');
+  }
+
+  logger.info('Agent claimed', { name: claimed.name, wallet: address });
+
+  return {
+    agent_id: claimed.id,
+    name: claimed.name,
+    wallet_address: address,
+    message: 'Agent successfully claimed! You can now use your API key to control this agent.',
+  };
+}
+
+async function createWalletBindingChallenge(agent, address) {
+  return issueWalletChallenge(
+    `moltworld:wallet:bind:${agent.id}`,
+    'pay for a Moltworld agent',
+    `Binding this wallet to pay MON deposits for agent ${agent.name} (${agent.id})`,
+    address
+  );
+}
+
+async function verifyWalletBinding(agent, signature) {
+  const address = await consumeWalletChallenge(`moltworld:wallet:bind:${agent.id}`, signature);
+  const updated = await db.setPaymentWallet(agent.id, address);
+  if (!updated) {
+    throw new Error('Wallet binding failed');
+  }
+
+  logger.info('Payment wallet bound', { agent: agent.name, wallet: address });
+
+  return {
+    wallet_address: address,
+    bound_at: updated.payment_wallet_bound_at,
+  };
+}
+
+function legacyMissKey(apiKey) {
+  return `moltworld:apikey:legacy-miss:${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+}
+
+// Id of the last legacy row already compared against this token.
+function legacyCursorKey(apiKey) {
+  return `moltworld:apikey:legacy-scan:${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+}
+
+// Adds amount to a counter that resets every minute; true while it stays
+// within limit.
+async function withinMinuteBudget(key, amount, limit) {
+  const r = db.getRedis();
+  const used = await r.incrBy(key, amount);
+  if (used === amount) {
+    await r.expire(key, 60);
+  }
+  return used <= limit;
+}
+
+// source identifies the caller (an IP address) for the legacy scan budget.
+async function resolveApiKey(apiKey, source) {
+  const keyId = getApiKeyId(apiKey);
+  const credential = await db.getApiKeyCredential(keyId);
+  if (credential) {
+    const match = await bcrypt.compare(apiKey, credential.key_hash);
+    return match ? credential : null;
+  }
+  return resolveLegacyApiKey(apiKey, keyId, source);
+}
+
+// Compares the token against the next batch of legacy rows, then moves a
+// matching key over so the next request takes the indexed path. Until the
+// scan finds the key or runs out of rows, each request returns null and the
+// caller sees a 401. Fails closed when a budget is spent or Redis is
+// unavailable.
+async function resolveLegacyApiKey(apiKey, keyId, source) {
+  let legacy;
+  let cursor;
+  try {
+    const r = db.getRedis();
+    if (await r.exists(legacyMissKey(apiKey))) return null;
+    if (!await withinMinuteBudget(`moltworld:apikey:legacy-scans:${source || 'unknown'}`, 1, LEGACY_SCANS_PER_SOURCE)) {
+      return null;
+    }
+    cursor = await r.get(legacyCursorKey(apiKey));
+    legacy = await db.getLegacyApiKeyCredentials(cursor, LEGACY_BATCH_SIZE);
+    if (legacy.length > 0 &&
+        !await withinMinuteBudget('moltworld:apikey:legacy-compares', legacy.length, LEGACY_COMPARE_BUDGET)) {
+      logger.warn('Legacy API key compare budget exhausted', { batch: legacy.length });
+      return null;
+    }
+  } catch (err) {
+    logger.error('Legacy API key scan unavailable', { error: err.message });
+    return null;
+  }
+
+  for (const row of legacy) {
+    const match = await bcrypt.compare(apiKey, row.api_key_hash);
+    if (match) {
+      const migrated = await db.migrateLegacyApiKey(row.id, keyId);
+      logger.info('Legacy API key migrated to api_keys', { agent_id: row.id });
+      return migrated;
+    }
+  }
+
+  try {
+    const r = db.getRedis();
+    if (legacy.length === LEGACY_BATCH_SIZE) {
+      await r.set(legacyCursorKey(apiKey), legacy[legacy.length - 1].id, { EX: LEGACY_MISS_TTL_SECONDS });
+    } else {
+      await r.set(legacyMissKey(apiKey), '1', { EX: LEGACY_MISS_TTL_SECONDS });
+      if (cursor) await r.del(legacyCursorKey(apiKey));
+    }
+  } catch (err) {
+    logger.warn('Legacy API key scan progress not saved', { error: err.message });
+  }
+  return null;
+}
+
+function validateLabel(label) {
+  if (label !== undefined && (typeof label !== 'string' || label.length > 50)) {
+    throw new Error('Label must be a string of at most 50 characters');
+  }
+}
+
+// A key may only hand out scopes it holds itself.
+function checkGrantableScopes(grantingScopes, scopes) {
+  const scopeCheck = validateScopes(scopes);
+  if (!scopeCheck.valid) {
+    throw new Error(scopeCheck.error);
+  }
+  const denied = scopes.filter(s => s === API_KEY_ALL_SCOPES
+    ? !grantingScopes.includes(API_KEY_ALL_SCOPES)
+    : !hasScope(grantingScopes, s));
+  if (denied.length > 0) {
+    throw new Error(`Cannot grant scopes this key does not hold: ${denied.join(', ')}`);
+  }
+}
+
+async function createApiKey(agentId, grantingScopes, scopes, label) {
+  validateLabel(label);
+  checkGrantableScopes(grantingScopes, scopes);
+
+  const activeKeys = await db.countActiveApiKeys(agentId);
+  if (activeKeys >= MAX_ACTIVE_KEYS) {
+    throw new Error(`Too many active keys (max ${MAX_ACTIVE_KEYS}) - revoke one first`);
+  }
+
+  const apiKey = generateApiKeySync();
+  const apiKeyHash = await bcrypt.hash(apiKey, BCRYPT_ROUNDS);
+  const created = await db.createApiKey(agentId, getApiKeyId(apiKey), apiKeyHash, label || 'scoped', scopes);
+
+  logger.info('API key created', { agent_id: agentId, key: created.id, scopes });
+
+  return {
+    id: created.id,
+    api_key: apiKey,
+    label: created.label,
+    scopes: created.scopes,
+    created_at: created.created_at,
+  };
+}
+
+async function rotateApiKey(agentId, currentKey, gracePeriodSeconds, label) {
+  const grace = Math.max(0, Math.min(parseInt(gracePeriodSeconds, 10) || 0, MAX_KEY_GRACE_SECONDS));
+  validateLabel(label);
+  const currentKeyId = currentKey.id;
+
+  const activeKeys = await db.countActiveApiKeys(agentId);
+  if (grace > 0 && activeKeys >= MAX_ACTIVE_KEYS) {
+    throw new Error(`Too many active keys (max ${MAX_ACTIVE_KEYS}) - revoke one or rotate without a grace period`);
+  }
+
+  const apiKey = generateApiKeySync();
+  const apiKeyHash = await bcrypt.hash(apiKey, BCRYPT_ROUNDS);
+  const created = await db.createApiKey(agentId, getApiKeyId(apiKey), apiKeyHash, label || 'rotated', currentKey.scopes);
+
+  const previous = grace > 0
+    ? await db.expireApiKey(currentKeyId, agentId, grace)
+    : await db.revokeApiKey(currentKeyId, agentId);
+  if (grace === 0) {
+    await revokeKeySessionsSafely(currentKeyId);
+  }
+
+  logger.info('API key rotated', { agent_id: agentId, key: created.id, grace_seconds: grace });
+
+  return {
+    key: {
+      id: created.id,
+      api_key: apiKey,
+      label: created.label,
+      scopes: created.scopes,
+      created_at: created.created_at,
+    },
+    previous_key: previous ? {
+      id: previous.id,
+      expires_at: previous.expires_at || previous.revoked_at,
+      grace_period_seconds: grace,
+    } : null,
+  };
+}
+
+async function revokeApiKey(agentId, keyId) {
+  const keys = await db.getApiKeys(agentId);
+  const key = keys.find(k => k.id === keyId);
+  if (!key || !key.active) {
+    throw new Error('API key not found or already inactive');
+  }
+  if (keys.filter(k => k.active).length <= 1) {
+    throw new Error('Cannot revoke your only active key - rotate it instead');
+  }
+
+  const revoked = await db.revokeApiKey(keyId, agentId);
+  await revokeKeySessionsSafely(keyId);
+  logger.info('API key revoked', { agent_id: agentId, key: keyId });
+  return { id: revoked.id, revoked_at: revoked.revoked_at };
+}
+
+async function listApiKeys(agentId) {
+  const keys = await db.getApiKeys(agentId);
+  return keys.map(k => ({
+    id: k.id,
+    prefix: `${API_KEY_PREFIX}${k.key_id}`,
+    label: k.label,
+    scopes: k.scopes,
+    active: k.active,
+    created_at: k.created_at,
+    expires_at: k.expires_at,
+    revoked_at: k.revoked_at,
+    last_used_at: k.last_used_at,
+  }));
+}
+
+// A session is a Redis record keyed by session id. Access tokens are only
+// valid while that record exists, so deleting it revokes the session. The
+// token carries the agent's id and name, so verifying it never touches the
+// database.
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Session tokens unavailable - JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+function sessionKey(sessionId) {
+  return `moltworld:session:${sessionId}`;
+}
+
+function keySessionsKey(apiKeyId) {
+  return `moltworld:apikey:sessions:${apiKeyId}`;
+}
+
+// Swaps the session's refresh jti only if it still holds the presented one,
+// so of two concurrent refreshes with the same token exactly one wins.
+// Returns [1, record] when rotated, [0, record] on a stale jti and nil when
+// the session is gone.
+const ROTATE_REFRESH_SCRIPT = `
+local stored = redis.call('GET', KEYS[1])
+if not stored then return nil end
+local session = cjson.decode(stored)
+if session.refresh_jti ~= ARGV[1] then return {0, stored} end
+session.refresh_jti = ARGV[2]
+redis.call('SET', KEYS[1], cjson.encode(session), 'EX', ARGV[3])
+return {1, stored}
+`;
+
+function issueSessionTokens(agent, apiKey, sessionId, refreshJti) {
+  const secret = getJwtSecret();
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const keyExpiry = apiKey.expires_at ? Math.floor(new Date(apiKey.expires_at).getTime() / 1000) : Infinity;
+  const accessExp = Math.min(nowSeconds + SESSION_TTL_SECONDS, keyExpiry);
+  const refreshExp = Math.min(nowSeconds + REFRESH_TTL_SECONDS, keyExpiry);
+
+  const accessToken = jwt.sign(
+    { sub: agent.id, name: agent.name, kid: apiKey.id, sid: sessionId, scopes: apiKey.scopes, typ: 'access', exp: accessExp },
+    secret,
+    { algorithm: 'HS256', issuer: JWT_ISSUER }
+  );
+  const refreshToken = jwt.sign(
+    { sub: agent.id, name: agent.name, kid: apiKey.id, sid: sessionId, jti: refreshJti, typ: 'refresh', exp: refreshExp },
+    secret,
+    { algorithm: 'HS256', issuer: JWT_ISSUER }
+  );
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_at: new Date(accessExp * 1000).toISOString(),
+    refresh_token: refreshToken,
+    refresh_expires_at: new Date(refreshExp * 1000).toISOString(),
+    session_id: sessionId,
+    scopes: apiKey.scopes,
+  };
+}
+
+async function storeSession(agent, apiKeyId, sessionId, refreshJti) {
+  const r = db.getRedis();
+  await r.set(sessionKey(sessionId), JSON.stringify({
+    agent_id: agent.id,
+    agent_name: agent.name,
+    api_key_id: apiKeyId,
+    refresh_jti: refreshJti,
+  }), { EX: REFRESH_TTL_SECONDS });
+  await r.sAdd(keySessionsKey(apiKeyId), sessionId);
+  await r.expire(keySessionsKey(apiKeyId), REFRESH_TTL_SECONDS);
+}
+
+async function createSession(agent, apiKey) {
+  getJwtSecret();
+  const sessionId = crypto.randomUUID();
+  const refreshJti = crypto.randomUUID();
+  await storeSession(agent, apiKey.id, sessionId, refreshJti);
+  logger.info('Session created', { agent_id: agent.id, session: sessionId });
+  return issueSessionTokens(agent, apiKey, sessionId, refreshJti);
+}
+
+async function refreshSession(refreshToken) {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, getJwtSecret(), { algorithms: ['HS256'], issuer: JWT_ISSUER });
+  } catch (err) {
+    if (err.message.includes('JWT_SECRET')) throw err;
+    throw new Error('Invalid or expired refresh token');
+  }
+  if (payload.typ !== 'refresh') {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  const r = db.getRedis();
+  const refreshJti = crypto.randomUUID();
+  const rotated = await r.eval(ROTATE_REFRESH_SCRIPT, {
+    keys: [sessionKey(payload.sid)],
+    arguments: [payload.jti, refreshJti, String(REFRESH_TTL_SECONDS)],
+  });
+  if (!rotated) {
+    throw new Error('Session has been revoked');
+  }
+  // A refresh token is single-use; presenting an old one means it leaked.
+  if (rotated[0] !== 1) {
+    await revokeSession(payload.sid);
+    logger.warn('Refresh token reuse detected, session revoked', { session: payload.sid });
+    throw new Error('Session has been revoked');
+  }
+
+  const apiKey = await db.getActiveApiKey(payload.kid);
+  if (!apiKey || apiKey.agent_id !== payload.sub) {
+    await revokeSession(payload.sid);
+    throw new Error('The API key behind this session is no longer active');
+  }
+  await r.expire(keySessionsKey(apiKey.id), REFRESH_TTL_SECONDS);
+
+  const session = JSON.parse(rotated[1]);
+  return issueSessionTokens({ id: payload.sub, name: session.agent_name }, apiKey, payload.sid, refreshJti);
+}
+
+async function revokeSession(sessionId) {
+  const r = db.getRedis();
+  await r.del(sessionKey(sessionId));
+}
+
+async function revokeKeySessions(apiKeyId) {
+  const r = db.getRedis();
+  const sessionIds = await r.sMembers(keySessionsKey(apiKeyId));
+  if (sessionIds.length > 0) {
+    await r.del(sessionIds.map(sessionKey));
+  }
+  await r.del(keySessionsKey(apiKeyId));
+  return sessionIds.length;
+}
+
+async function revokeKeySessionsSafely(apiKeyId) {
+  try {
+    await revokeKeySessions(apiKeyId);
+  } catch (err) {
+    logger.error('Failed to revoke sessions for API key', { error: err.message, key: apiKeyId });
+  }
+}
+
+async function resolveSessionToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'], issuer: JWT_ISSUER });
+  } catch (err) {
+    return null;
+  }
+  if (payload.typ !== 'access') return null;
+
+  const r = db.getRedis();
+  const exists = await r.exists(sessionKey(payload.sid));
+  if (!exists) return null;
+
+  return {
+    id: payload.kid,
+    agent_id: payload.sub,
+    agent_name: payload.name,
+    scopes: payload.scopes,
+    expires_at: null,
+    session_id: payload.sid,
+  };
+}
+
+async function authenticate(req, res, next, scope) {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json(formatError('Missing or invalid Authorization header', 'Use: Bearer <your_api_key>'));
     }
 
-    const apiKey = authHeader.slice(7).trim();
-    if (!apiKey || !apiKey.startsWith('moltworld_')) {
-      return res.status(401).json(formatError('Invalid API key format', 'API key should start with moltworld_'));
+    const token = authHeader.slice(7).trim();
+    const isApiKey = token.startsWith(API_KEY_PREFIX);
+    if (!token || (!isApiKey && token.split('.').length !== 3)) {
+      return res.status(401).json(formatError(
+        'Invalid API key format',
+        'API key should start with moltworld_ (or use a session token from POST /api/v1/habitat/session)'
+      ));
     }
 
-    const apiKeyHash = await bcrypt.hash(apiKey, BCRYPT_ROUNDS);
-
-    const agents = await db.pool.query(
-      `SELECT id, api_key_hash FROM agents`,
-    );
-
+    const credential = isApiKey ? await resolveApiKey(token, req.ip) : await resolveSessionToken(token);
+    // Only claimed agents can open a session, so a session's identity is
+    // all a session token needs; routes that read more call loadAgent.
     let matchedAgent = null;
-    for (const agent of agents.rows) {
-      const match = await bcrypt.compare(apiKey, agent.api_key_hash);
-      if (match) {
-        matchedAgent = await db.getAgentById(agent.id);
-        break;
-      }
+    if (credential && isApiKey) {
+      matchedAgent = await db.getAgentById(credential.agent_id);
+    } else if (credential) {
+      matchedAgent = { id: credential.agent_id, name: credential.agent_name, claimed: true };
     }
 
     if (!matchedAgent) {
-      return res.status(401).json(formatError('Invalid API key'));
+      return res.status(401).json(formatError(isApiKey ? 'Invalid API key' : 'Invalid, expired or revoked session token'));
     }
 
     if (!matchedAgent.claimed) {
       return res.status(403).json(formatError(
         'Agent not yet claimed',
-        'Complete the Twitter verification process first'
+        'Complete the claim process first (Twitter or wallet signature)'
+      ));
+    }
+
+    if (isApiKey) {
+      db.touchApiKey(credential.id).catch((err) => {
+        logger.warn('API key last_used update failed', { error: err.message });
+      });
+    }
+
+    if (scope && !hasScope(credential.scopes, scope)) {
+      return res.status(403).json(formatError(
+        `API key is missing the required scope: ${scope}`,
+        `This key has scopes: ${credential.scopes.join(', ')}. Create a key with "${scope}" via POST /api/v1/habitat/keys`
       ));
     }
 
     req.agent = matchedAgent;
+    req.apiKey = {
+      id: credential.id,
+      scopes: credential.scopes,
+      expires_at: credential.expires_at,
+      session_id: credential.session_id || null,
+    };
     next();
   } catch (err) {
     logger.error('Authentication error', { error: err.message });
@@ -160,8 +694,85 @@ async function authenticateAgent(req, res, next) {
   }
 }
 
+// The full agent row for the authenticated request. API key requests already
+// carry it; session token requests only carry the agent's id and name.
+async function loadAgent(req) {
+  if (!req.apiKey.session_id) return req.agent;
+  return db.getAgentById(req.agent.id);
+}
+
+function authenticateAgent(req, res, next) {
+  return authenticate(req, res, next, null);
+}
+
+function requireScope(scope) {
+  return (req, res, next) => authenticate(req, res, next, scope);
+}
+
+// Operator endpoints use a single shared ADMIN_API_KEY sent as X-Admin-Key;
+// they are switched off entirely while it is unset.
+function authenticateAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json(formatError('Admin API is disabled', 'Set ADMIN_API_KEY to enable it'));
+  }
+
+  const presented = req.headers['x-admin-key'];
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const actual = crypto.createHash('sha256').update(String(presented || '')).digest();
+  if (!presented || !crypto.timingSafeEqual(expected, actual)) {
+    logger.warn('Rejected admin request', { path: req.path, ip: req.ip });
+    return res.status(401).json(formatError('Invalid admin key'));
+  }
+  next();
+}
+
+// Sockets may present an API key in the handshake to act as an agent;
+// anonymous viewers connect without one.
+async function authenticateSocket(socket, next) {
+  const apiKey = socket.handshake.auth?.api_key;
+  if (!apiKey) return next();
+
+  try {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) {
+      return next(new Error('Invalid API key format'));
+    }
+    const credential = await resolveApiKey(apiKey, socket.handshake.address);
+    if (!credential) {
+      return next(new Error('Invalid API key'));
+    }
+
+    socket.data.agentId = credential.agent_id;
+    socket.data.apiKeyId = credential.id;
+    socket.data.scopes = credential.scopes;
+    socket.data.apiKeyExpiresAt = credential.expires_at ? new Date(credential.expires_at).getTime() : null;
+    socket.join(`agent:${credential.agent_id}`);
+    socket.join(`key:${credential.id}`);
+    next();
+  } catch (err) {
+    logger.error('Socket authentication error', { error: err.message });
+    next(new Error('Authentication service error'));
+  }
+}
+
 module.exports = {
   registerAgent,
   verifyTwitterClaim,
+  createWalletClaimChallenge,
+  verifyWalletClaim,
+  createWalletBindingChallenge,
+  verifyWalletBinding,
   authenticateAgent,
+  requireScope,
+  loadAgent,
+  authenticateAdmin,
+  authenticateSocket,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeKeySessions,
 };
@@ -0,0 +1,111 @@
+'use strict';
+
+// Compares the spatial index with a linear scan, which is what the old
+// SQRT(POWER(...)) queries did over every row. Run with `npm run bench:spatial`;
+// pass structure counts to override the defaults, e.g. `node bench/spatial-index.js 100000`.
+
+const { createSpatialIndex } = require('../spatial-index');
+const { WORLD_BOUNDS } = require('../utils');
+
+const COUNTS = process.argv.slice(2).map(Number).filter(n => n > 0);
+const SIZES = COUNTS.length > 0 ? COUNTS : [1000, 10000, 50000];
+const QUERIES = 2000;
+
+// Deterministic so runs are comparable.
+let seed = 42;
+function random() {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+}
+
+function randomPosition() {
+  return {
+    x: WORLD_BOUNDS.x.min + random() * (WORLD_BOUNDS.x.max - WORLD_BOUNDS.x.min),
+    y: WORLD_BOUNDS.y.min + random() * (WORLD_BOUNDS.y.max - WORLD_BOUNDS.y.min),
+    z: WORLD_BOUNDS.z.min + random() * (WORLD_BOUNDS.z.max - WORLD_BOUNDS.z.min),
+  };
+}
+
+function scanRadius(items, c, r) {
+  return items
+    .map(s => ({ id: s.id, distance: Math.hypot(s.x - c.x, s.y - c.y, s.z - c.z) }))
+    .filter(s => s.distance <= r)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+function scanBox(items, min, max) {
+  return items.filter(s =>
+    s.x + s.hx > min.x && s.x - s.hx < max.x &&
+    s.y + s.hy > min.y && s.y - s.hy < max.y &&
+    s.z + s.hz > min.z && s.z - s.hz < max.z);
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < QUERIES; i++) fn(i);
+  return Number(process.hrtime.bigint() - start) / 1e3 / QUERIES;
+}
+
+function sameIds(a, b) {
+  const ids = new Set(a.map(x => x.id));
+  return a.length === b.length && b.every(x => ids.has(x.id));
+}
+
+const rows = [];
+console.log(`${QUERIES} queries per case, microseconds per query\n`);
+console.log(['structures', 'query', 'index', 'scan', 'speedup'].map(h => h.padStart(12)).join(''));
+
+for (const count of SIZES) {
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const p = randomPosition();
+    const half = { x: 1 + random() * 12, y: 1 + random() * 12, z: 1 + random() * 12 };
+    items.push({ id: i, ...p, hx: half.x, hy: half.y, hz: half.z });
+  }
+
+  const index = createSpatialIndex();
+  const buildStart = process.hrtime.bigint();
+  for (const s of items) {
+    index.upsert(s.id, s, { x: s.hx, y: s.hy, z: s.hz });
+  }
+  const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+
+  const centers = Array.from({ length: QUERIES }, randomPosition);
+
+  // Check the index agrees with the scan before timing anything.
+  for (const c of centers.slice(0, 50)) {
+    if (!sameIds(index.radius(c, 100), scanRadius(items, c, 100))) throw new Error('radius mismatch');
+    const min = { x: c.x - 10, y: c.y - 10, z: c.z - 10 };
+    const max = { x: c.x + 10, y: c.y + 10, z: c.z + 10 };
+    if (!sameIds(index.box(min, max), scanBox(items, min, max))) throw new Error('box mismatch');
+    const knn = index.nearest(c, 10).map(n => n.distance);
+    const scanKnn = scanRadius(items, c, Infinity).slice(0, 10).map(n => n.distance);
+    if (knn.some((d, i) => Math.abs(d - scanKnn[i]) > 1e-9)) throw new Error('nearest mismatch');
+  }
+
+  const cases = [
+    ['radius 50', i => index.radius(centers[i], 50), i => scanRadius(items, centers[i], 50)],
+    ['radius 100', i => index.radius(centers[i], 100, { limit: 100 }), i => scanRadius(items, centers[i], 100).slice(0, 100)],
+    ['box 20', i => {
+      const c = centers[i];
+      return index.box({ x: c.x - 10, y: c.y - 10, z: c.z - 10 }, { x: c.x + 10, y: c.y + 10, z: c.z + 10 });
+    }, i => {
+      const c = centers[i];
+      return scanBox(items, { x: c.x - 10, y: c.y - 10, z: c.z - 10 }, { x: c.x + 10, y: c.y + 10, z: c.z + 10 });
+    }],
+    ['nearest 10', i => index.nearest(centers[i], 10), i => scanRadius(items, centers[i], Infinity).slice(0, 10)],
+  ];
+
+  for (const [name, indexed, scan] of cases) {
+    const a = time(indexed);
+    const b = time(scan);
+    console.log([count, name, a.toFixed(1), b.toFixed(1), `${(b / a).toFixed(0)}x`]
+      .map(v => String(v).padStart(12)).join(''));
+  }
+  rows.push({ count, buildMs });
+}
+
+console.log('');
+for (const { count, buildMs } of rows) {
+  console.log(`Indexed ${count} structures in ${buildMs.toFixed(1)} ms`);
+}
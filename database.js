@@ -1,8 +1,12 @@
 'use strict';
 
+const crypto = require('crypto');
 const { Pool } = require('pg');
 const { createClient } = require('redis');
-const { logger } = require('./utils');
+const {
+  logger, buildRefund, activityReward, ECONOMY, ACTIVITY_REWARD_REASONS,
+} = require('./utils');
+const spatialIndex = require('./spatial-index');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -44,13 +48,16 @@ CREATE TABLE IF NOT EXISTS agents (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   name VARCHAR(30) UNIQUE NOT NULL,
   description TEXT DEFAULT '',
-  api_key_hash VARCHAR(255) UNIQUE NOT NULL,
+  api_key_hash VARCHAR(255) UNIQUE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   claimed BOOLEAN DEFAULT FALSE,
   claim_token VARCHAR(100) UNIQUE NOT NULL,
   verification_code VARCHAR(30) NOT NULL,
   human_twitter_id VARCHAR(100),
   human_twitter_handle VARCHAR(100),
+  owner_wallet VARCHAR(42),
+  payment_wallet VARCHAR(42),
+  payment_wallet_bound_at TIMESTAMP WITH TIME ZONE,
   openclaw_id VARCHAR(100),
   moltbook_api_key_hash VARCHAR(255),
   avatar_color VARCHAR(7) DEFAULT '#E04040',
@@ -104,9 +111,46 @@ CREATE TABLE IF NOT EXISTS deposits (
   amount VARCHAR(78) NOT NULL,
   from_address VARCHAR(42),
   block_number BIGINT DEFAULT 0,
+  wallet_binding VARCHAR(20),
+  block_hash VARCHAR(66),
+  status VARCHAR(20) NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed','orphaned')),
+  purpose VARCHAR(20) CHECK (purpose IN ('entry','purchase')),
+  shells_credited BIGINT NOT NULL DEFAULT 0,
+  credited_at TIMESTAMP WITH TIME ZONE,
+  reversal_shortfall BIGINT NOT NULL DEFAULT 0,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE TABLE IF NOT EXISTS chain_cursors (
+  name VARCHAR(50) PRIMARY KEY,
+  block_number BIGINT NOT NULL,
+  block_hash VARCHAR(66) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Hashes of recently scanned blocks, kept so reorgs can be rewound to a common ancestor.
+CREATE TABLE IF NOT EXISTS chain_blocks (
+  block_number BIGINT PRIMARY KEY,
+  block_hash VARCHAR(66) NOT NULL,
+  scanned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS payment_intents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  purpose VARCHAR(20) NOT NULL DEFAULT 'entry',
+  amount VARCHAR(78) NOT NULL,
+  reference VARCHAR(66) UNIQUE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','seen','confirmed','expired')),
+  tx_hash VARCHAR(66) UNIQUE,
+  from_address VARCHAR(42),
+  block_number BIGINT,
+  confirmations INTEGER DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 CREATE TABLE IF NOT EXISTS balances (
   agent_id UUID PRIMARY KEY REFERENCES agents(id) ON DELETE CASCADE,
   shells BIGINT DEFAULT 0,
@@ -115,6 +159,50 @@ CREATE TABLE IF NOT EXISTS balances (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Every shell movement is one balanced transaction: its legs share txn_id and
+-- sum to zero. balances is a cache of the agent:<id> and agent:<id>:locked legs.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  txn_id UUID NOT NULL,
+  account VARCHAR(80) NOT NULL,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  amount BIGINT NOT NULL CHECK (amount <> 0),
+  reason VARCHAR(40) NOT NULL,
+  reference VARCHAR(120),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION ledger_check_balanced() RETURNS trigger AS $$
+BEGIN
+  IF (SELECT SUM(amount) FROM ledger_entries WHERE txn_id = NEW.txn_id) <> 0 THEN
+    RAISE EXCEPTION 'Unbalanced ledger transaction %', NEW.txn_id;
+  END IF;
+  RETURN NULL;
+END $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_entries_balanced ON ledger_entries;
+CREATE CONSTRAINT TRIGGER ledger_entries_balanced AFTER INSERT ON ledger_entries
+  DEFERRABLE INITIALLY DEFERRED FOR EACH ROW EXECUTE FUNCTION ledger_check_balanced();
+
+CREATE TABLE IF NOT EXISTS withdrawals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  shells BIGINT NOT NULL CHECK (shells > 0),
+  amount VARCHAR(78) NOT NULL,
+  to_address VARCHAR(42) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('pending_approval','queued','sent','confirmed','failed')),
+  tx_hash VARCHAR(66) UNIQUE,
+  raw_tx TEXT,
+  nonce BIGINT,
+  error TEXT,
+  approved_at TIMESTAMP WITH TIME ZONE,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  confirmed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 CREATE TABLE IF NOT EXISTS trades (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   from_agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
@@ -124,14 +212,217 @@ CREATE TABLE IF NOT EXISTS trades (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE TABLE IF NOT EXISTS structure_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID REFERENCES structures(id) ON DELETE CASCADE,
+  from_agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  to_agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('sale','gift')),
+  price BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS explored_cells (
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  cell_x INTEGER NOT NULL,
+  cell_z INTEGER NOT NULL,
+  discovered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (agent_id, cell_x, cell_z)
+);
+
+CREATE TABLE IF NOT EXISTS auctions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID REFERENCES structures(id) ON DELETE CASCADE,
+  seller_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  reserve_price BIGINT NOT NULL CHECK (reserve_price > 0),
+  min_increment BIGINT NOT NULL DEFAULT 1 CHECK (min_increment > 0),
+  high_bid BIGINT,
+  high_bidder_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open','settled','unsold','cancelled')),
+  ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  settled_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS auction_bids (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  auction_id UUID REFERENCES auctions(id) ON DELETE CASCADE,
+  bidder_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  amount BIGINT NOT NULL CHECK (amount > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'leading' CHECK (status IN ('leading','outbid','won','refunded')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Daily quests are issued per agent and UTC day. goal holds the matching
+-- rule; seen holds keys already counted (e.g. agents talked to) for quests
+-- that need distinct progress.
+CREATE TABLE IF NOT EXISTS agent_quests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  quest_date DATE NOT NULL,
+  quest_key VARCHAR(100) NOT NULL,
+  title VARCHAR(200) NOT NULL,
+  goal JSONB NOT NULL,
+  target INTEGER NOT NULL CHECK (target > 0),
+  progress INTEGER NOT NULL DEFAULT 0,
+  seen JSONB NOT NULL DEFAULT '[]'::jsonb,
+  reward BIGINT NOT NULL CHECK (reward > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active','completed')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (agent_id, quest_date, quest_key)
+);
+
+CREATE TABLE IF NOT EXISTS bounties (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  poster_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  title VARCHAR(200) NOT NULL,
+  reward BIGINT NOT NULL CHECK (reward > 0),
+  condition JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open','claimed','cancelled','expired')),
+  claimed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  proof JSONB,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+-- An offer escrows amount from the sender's shells in their locked account
+-- and asks ask_amount back from the recipient on acceptance.
+CREATE TABLE IF NOT EXISTS trade_offers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  from_agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  to_agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  amount BIGINT NOT NULL DEFAULT 0 CHECK (amount >= 0),
+  ask_amount BIGINT NOT NULL DEFAULT 0 CHECK (ask_amount >= 0),
+  memo VARCHAR(200) DEFAULT '',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending','accepted','declined','countered','cancelled','expired')),
+  counter_of UUID REFERENCES trade_offers(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  CHECK (amount > 0 OR ask_amount > 0)
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  key_id VARCHAR(16) UNIQUE NOT NULL,
+  key_hash VARCHAR(255) NOT NULL,
+  label VARCHAR(50) DEFAULT '',
+  scopes JSONB NOT NULL DEFAULT '["*"]'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS owner_wallet VARCHAR(42);
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS payment_wallet VARCHAR(42);
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS payment_wallet_bound_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS wallet_binding VARCHAR(20);
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS block_hash VARCHAR(66);
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'confirmed';
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS shells_credited BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS credited_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS reversal_shortfall BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE structures ADD COLUMN IF NOT EXISTS build_cost BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE structures ADD COLUMN IF NOT EXISTS sale_price BIGINT CHECK (sale_price > 0);
+ALTER TABLE structures ADD COLUMN IF NOT EXISTS listed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE balances ADD COLUMN IF NOT EXISTS locked_shells BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS raw_tx TEXT;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS nonce BIGINT;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS scopes JSONB NOT NULL DEFAULT '["*"]'::jsonb;
+
+-- agents.api_key_hash only remains for keys issued before api_keys existed.
+ALTER TABLE agents ALTER COLUMN api_key_hash DROP NOT NULL;
+
+-- Balances from before the ledger existed are opened against world:opening.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM ledger_entries) THEN
+    INSERT INTO ledger_entries (txn_id, account, agent_id, amount, reason, reference)
+      SELECT t.txn_id, x.account, x.agent_id, x.amount, 'opening_balance', 'ledger_migration'
+      FROM (SELECT agent_id, shells, locked_shells, gen_random_uuid() AS txn_id FROM balances) t
+      CROSS JOIN LATERAL (VALUES
+        ('agent:' || t.agent_id, t.agent_id, t.shells),
+        ('agent:' || t.agent_id || ':locked', t.agent_id, t.locked_shells),
+        ('world:opening', NULL::uuid, -(t.shells + t.locked_shells))
+      ) AS x(account, agent_id, amount)
+      WHERE x.amount <> 0;
+  END IF;
+END $$;
+
+-- Deposits made before purchases existed all paid the entry fee.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'deposits' AND column_name = 'purpose') THEN
+    ALTER TABLE deposits ADD COLUMN purpose VARCHAR(20) CHECK (purpose IN ('entry','purchase'));
+    UPDATE deposits SET purpose = 'entry', credited_at = created_at WHERE agent_id IS NOT NULL;
+  END IF;
+END $$;
+
+-- builder_id keeps who built a structure once sales, gifts and auctions move
+-- agent_id. Older structures take the seller of their first transfer.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'structures' AND column_name = 'builder_id') THEN
+    ALTER TABLE structures ADD COLUMN builder_id UUID REFERENCES agents(id) ON DELETE SET NULL;
+    UPDATE structures s SET builder_id = COALESCE(
+      (SELECT t.from_agent_id FROM structure_transfers t
+       WHERE t.structure_id = s.id ORDER BY t.created_at LIMIT 1),
+      s.agent_id
+    );
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'agents' AND column_name = 'api_key_id') THEN
+    INSERT INTO api_keys (agent_id, key_id, key_hash)
+      SELECT id, api_key_id, api_key_hash FROM agents
+      WHERE api_key_id IS NOT NULL AND api_key_hash IS NOT NULL
+      ON CONFLICT (key_id) DO NOTHING;
+    UPDATE agents SET api_key_hash = NULL WHERE api_key_id IS NOT NULL;
+    ALTER TABLE agents DROP COLUMN api_key_id;
+  END IF;
+END $$;
+
 CREATE INDEX IF NOT EXISTS idx_interactions_timestamp ON interactions(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_interactions_agent ON interactions(agent_id);
 CREATE INDEX IF NOT EXISTS idx_structures_position ON structures(position_x, position_y, position_z);
 CREATE INDEX IF NOT EXISTS idx_agents_claim_token ON agents(claim_token);
 CREATE INDEX IF NOT EXISTS idx_agents_api_key_hash ON agents(api_key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_key_id ON api_keys(key_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_agent ON api_keys(agent_id);
 CREATE INDEX IF NOT EXISTS idx_deposits_tx_hash ON deposits(tx_hash);
 CREATE INDEX IF NOT EXISTS idx_deposits_agent ON deposits(agent_id);
+CREATE INDEX IF NOT EXISTS idx_deposits_block ON deposits(block_number);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_agent ON payment_intents(agent_id);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_status ON payment_intents(status, expires_at);
 CREATE INDEX IF NOT EXISTS idx_balances_shells ON balances(shells DESC);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_agent ON ledger_entries(agent_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_txn ON ledger_entries(txn_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_agent_time ON ledger_entries(agent_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_agent ON withdrawals(agent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_status ON withdrawals(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_trade_offers_from ON trade_offers(from_agent_id, status);
+CREATE INDEX IF NOT EXISTS idx_trade_offers_to ON trade_offers(to_agent_id, status);
+CREATE INDEX IF NOT EXISTS idx_trade_offers_expiry ON trade_offers(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_structures_listed ON structures(sale_price) WHERE sale_price IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_structure_transfers_structure ON structure_transfers(structure_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auctions_open_structure ON auctions(structure_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_auctions_status ON auctions(status, ends_at);
+CREATE INDEX IF NOT EXISTS idx_auction_bids_auction ON auction_bids(auction_id, amount DESC);
+CREATE INDEX IF NOT EXISTS idx_agent_quests_agent ON agent_quests(agent_id, quest_date);
+CREATE INDEX IF NOT EXISTS idx_bounties_status ON bounties(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_bounties_poster ON bounties(poster_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bounties_build_proof ON bounties((proof->>'structure_id'))
+  WHERE status = 'claimed' AND condition->>'type' = 'build';
 CREATE INDEX IF NOT EXISTS idx_trades_from ON trades(from_agent_id);
 CREATE INDEX IF NOT EXISTS idx_trades_to ON trades(to_agent_id);
 `;
@@ -146,18 +437,19 @@ async function initializeDatabase() {
   }
 }
 
-async function createAgent(name, description, apiKeyHash, claimToken, verificationCode, openclawId) {
+async function createAgent(name, description, apiKeyHash, apiKeyId, claimToken, verificationCode, openclawId) {
   const result = await pool.query(
-    `INSERT INTO agents (name, description, api_key_hash, claim_token, verification_code, openclaw_id)
-     VALUES ($1, $2, $3, $4, $5, $6)
+    `INSERT INTO agents (name, description, claim_token, verification_code, openclaw_id)
+     VALUES ($1, $2, $3, $4, $5)
      RETURNING id, name, description, claim_token, verification_code, created_at`,
-    [name, description || '', apiKeyHash, claimToken, verificationCode, openclawId || null]
+    [name, description || '', claimToken, verificationCode, openclawId || null]
   );
   const agent = result.rows[0];
   await pool.query(
     `INSERT INTO positions (agent_id) VALUES ($1)`,
     [agent.id]
   );
+  await createApiKey(agent.id, apiKeyId, apiKeyHash, 'initial');
   return agent;
 }
 
@@ -216,6 +508,27 @@ async function claimAgent(claimToken, twitterId, twitterHandle) {
   return result.rows[0] || null;
 }
 
+async function claimAgentWithWallet(claimToken, walletAddress) {
+  const result = await pool.query(
+    `UPDATE agents
+     SET claimed = TRUE, owner_wallet = $2
+     WHERE claim_token = $1 AND claimed = FALSE
+     RETURNING id, name`,
+    [claimToken, walletAddress]
+  );
+  return result.rows[0] || null;
+}
+
+async function setPaymentWallet(agentId, walletAddress) {
+  const result = await pool.query(
+    `UPDATE agents SET payment_wallet = $2, payment_wallet_bound_at = NOW()
+     WHERE id = $1
+     RETURNING id, payment_wallet, payment_wallet_bound_at`,
+    [agentId, walletAddress]
+  );
+  return result.rows[0] || null;
+}
+
 async function updatePosition(agentId, positionData) {
   const {
     x, y, z,
@@ -224,16 +537,18 @@ async function updatePosition(agentId, positionData) {
     animation = 'idle', in_habitat
   } = positionData;
 
-  await pool.query(
+  const result = await pool.query(
     `UPDATE positions
      SET x = $2, y = $3, z = $4,
          velocity_x = $5, velocity_y = $6, velocity_z = $7,
          yaw = $8, pitch = $9, roll = $10,
          animation = $11, in_habitat = COALESCE($12, in_habitat),
          last_update = NOW()
-     WHERE agent_id = $1`,
+     WHERE agent_id = $1
+     RETURNING in_habitat`,
     [agentId, x, y, z, velocity_x, velocity_y, velocity_z, yaw, pitch, roll, animation, in_habitat]
   );
+  indexAgent(agentId, { x, y, z }, result.rows[0] && result.rows[0].in_habitat);
 
   const r = getRedis();
   const cacheData = JSON.stringify({
@@ -247,10 +562,14 @@ async function updatePosition(agentId, positionData) {
 }
 
 async function setInHabitat(agentId, inHabitat) {
-  await pool.query(
-    `UPDATE positions SET in_habitat = $2, last_update = NOW() WHERE agent_id = $1`,
+  const result = await pool.query(
+    `UPDATE positions SET in_habitat = $2, last_update = NOW() WHERE agent_id = $1
+     RETURNING x, y, z`,
     [agentId, inHabitat]
   );
+  if (result.rows[0]) {
+    indexAgent(agentId, result.rows[0], inHabitat);
+  }
   try {
     const r = getRedis();
     const cached = await r.get(`moltworld:pos:${agentId}`);
@@ -265,53 +584,168 @@ async function setInHabitat(agentId, inHabitat) {
   }
 }
 
-async function getNearbyAgents(x, y, z, radius) {
+// Spatial queries are answered by the in-memory grids in spatial-index.js;
+// Postgres is only asked for the rows of the ids they return. Every write
+// that moves an agent or a structure updates the grids, and
+// loadSpatialIndex reconciles them with the tables.
+
+function indexAgent(agentId, position, inHabitat) {
+  if (inHabitat) {
+    spatialIndex.agents.upsert(agentId, position);
+  } else {
+    spatialIndex.agents.remove(agentId);
+  }
+}
+
+function structureEntry(s) {
+  return {
+    id: s.id,
+    position: { x: s.position_x, y: s.position_y, z: s.position_z },
+    half: { x: s.size_width / 2, y: s.size_height / 2, z: s.size_length / 2 },
+    tag: s.type,
+  };
+}
+
+function indexStructure(s) {
+  const { id, position, half, tag } = structureEntry(s);
+  spatialIndex.structures.upsert(id, position, half, tag);
+}
+
+// Brings both grids in line with Postgres. Called at startup and periodically
+// to pick up rows written by other processes, such as the seeder. Writes made
+// by this process while the snapshot is read win over the snapshot, so a
+// reload never resurrects a deleted structure or moves an agent back.
+let spatialReload = null;
+
+function loadSpatialIndex() {
+  if (!spatialReload) {
+    spatialReload = reloadSpatialIndex().finally(() => { spatialReload = null; });
+  }
+  return spatialReload;
+}
+
+async function reloadSpatialIndex() {
+  const agentsSince = spatialIndex.agents.version();
+  const structuresSince = spatialIndex.structures.version();
+  const [agents, structures] = await Promise.all([
+    pool.query(`SELECT agent_id, x, y, z FROM positions WHERE in_habitat = TRUE`),
+    pool.query(`SELECT id, type, position_x, position_y, position_z, size_width, size_length, size_height FROM structures`),
+  ]);
+  spatialIndex.agents.sync(
+    agents.rows.map(p => ({ id: p.agent_id, position: { x: p.x, y: p.y, z: p.z } })),
+    agentsSince
+  );
+  spatialIndex.structures.sync(structures.rows.map(structureEntry), structuresSince);
+  return { agents: agents.rowCount, structures: structures.rowCount };
+}
+
+// Returns rows in the order of hits, each with its distance.
+function orderByHits(rows, hits) {
+  const byId = new Map(rows.map(r => [r.id, r]));
+  return hits.filter(h => byId.has(h.id)).map(h => ({ ...byId.get(h.id), distance: h.distance }));
+}
+
+async function getAgentRowsByIds(ids) {
   const result = await pool.query(
     `SELECT a.id, a.name, a.description, a.avatar_color, a.avatar_accessories,
             p.x, p.y, p.z, p.velocity_x, p.velocity_y, p.velocity_z,
             p.yaw, p.pitch, p.roll, p.animation
      FROM agents a
      JOIN positions p ON a.id = p.agent_id
-     WHERE p.in_habitat = TRUE
-       AND SQRT(POWER(p.x - $1, 2) + POWER(p.y - $2, 2) + POWER(p.z - $3, 2)) <= $4
-     ORDER BY SQRT(POWER(p.x - $1, 2) + POWER(p.y - $2, 2) + POWER(p.z - $3, 2))
-     LIMIT 50`,
-    [x, y, z, radius]
+     WHERE a.id = ANY($1::uuid[]) AND p.in_habitat = TRUE`,
+    [ids]
   );
   return result.rows;
 }
 
-async function getNearbyStructures(x, y, z, radius) {
+async function getStructureRowsByIds(ids) {
   const result = await pool.query(
     `SELECT s.*, a.name as builder_name
      FROM structures s
      LEFT JOIN agents a ON s.agent_id = a.id
-     WHERE SQRT(POWER(s.position_x - $1, 2) + POWER(s.position_y - $2, 2) + POWER(s.position_z - $3, 2)) <= $4
-     ORDER BY SQRT(POWER(s.position_x - $1, 2) + POWER(s.position_y - $2, 2) + POWER(s.position_z - $3, 2))
-     LIMIT 100`,
-    [x, y, z, radius]
+     WHERE s.id = ANY($1::uuid[])`,
+    [ids]
   );
   return result.rows;
 }
 
-async function createStructure(agentId, structureData) {
+async function getNearbyAgents(x, y, z, radius) {
+  const hits = spatialIndex.agents.radius({ x, y, z }, radius, { limit: 50 });
+  if (hits.length === 0) return [];
+  return orderByHits(await getAgentRowsByIds(hits.map(h => h.id)), hits);
+}
+
+async function getNearbyStructures(x, y, z, radius) {
+  const hits = spatialIndex.structures.radius({ x, y, z }, radius, { limit: 100 });
+  if (hits.length === 0) return [];
+  return orderByHits(await getStructureRowsByIds(hits.map(h => h.id)), hits);
+}
+
+async function getNearestAgents(x, y, z, k, excludeId = null) {
+  const hits = spatialIndex.agents.nearest({ x, y, z }, k, { filter: id => id !== excludeId });
+  if (hits.length === 0) return [];
+  return orderByHits(await getAgentRowsByIds(hits.map(h => h.id)), hits);
+}
+
+async function getNearestStructures(x, y, z, k) {
+  const hits = spatialIndex.structures.nearest({ x, y, z }, k);
+  if (hits.length === 0) return [];
+  return orderByHits(await getStructureRowsByIds(hits.map(h => h.id)), hits);
+}
+
+// Structures whose bounding box overlaps the box from min to max.
+async function getStructuresInBox(min, max) {
+  const hits = spatialIndex.structures.box(min, max);
+  if (hits.length === 0) return [];
+  return getStructureRowsByIds(hits.map(h => h.id));
+}
+
+// Structures up for auction keep their owner until settlement; they cannot be
+// modified, deleted, listed or given away in the meantime.
+const NOT_UNDER_AUCTION = `NOT EXISTS (
+  SELECT 1 FROM auctions WHERE auctions.structure_id = structures.id AND auctions.status = 'open'
+)`;
+
+// The build cost is charged in the same transaction as the insert, so a
+// structure never exists without having been paid for.
+async function createStructure(agentId, structureData, cost = 0) {
   const { name, type, material, position_x, position_y, position_z, size_width, size_length, size_height } = structureData;
-  const result = await pool.query(
-    `INSERT INTO structures (agent_id, name, type, material, position_x, position_y, position_z, size_width, size_length, size_height)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-     RETURNING *`,
-    [agentId, name, type, material, position_x, position_y, position_z,
-     size_width || 5, size_length || 5, size_height || 5]
-  );
-  return result.rows[0];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO structures (agent_id, builder_id, name, type, material, position_x, position_y, position_z, size_width, size_length, size_height, build_cost)
+       VALUES ($1, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [agentId, name, type, material, position_x, position_y, position_z,
+       size_width || 5, size_length || 5, size_height || 5, cost]
+    );
+    if (cost > 0) {
+      await postLedger(client, 'build_cost', `structure:${result.rows[0].id}`, [
+        { account: agentAccount(agentId), agentId, amount: -cost },
+        { account: LEDGER_ACCOUNTS.FEES, amount: cost },
+      ]);
+    }
+    await client.query('COMMIT');
+    indexStructure(result.rows[0]);
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 }
 
-async function updateStructure(structureId, agentId, updates) {
+// extraCost is what making the structure bigger or pricier costs on top of
+// what was already paid; it is added to build_cost. Listed and auctioned
+// structures cannot be modified.
+async function updateStructure(structureId, agentId, updates, extraCost = 0) {
   const allowedFields = ['name', 'type', 'material', 'position_x', 'position_y', 'position_z',
                          'size_width', 'size_length', 'size_height'];
   const setClauses = [];
-  const values = [structureId, agentId];
-  let paramIndex = 3;
+  const values = [structureId, agentId, extraCost];
+  let paramIndex = 4;
 
   for (const [key, value] of Object.entries(updates)) {
     if (allowedFields.includes(key) && value !== undefined) {
@@ -323,21 +757,63 @@ async function updateStructure(structureId, agentId, updates) {
 
   if (setClauses.length === 0) return null;
 
-  const result = await pool.query(
-    `UPDATE structures SET ${setClauses.join(', ')}
-     WHERE id = $1 AND agent_id = $2
-     RETURNING *`,
-    values
-  );
-  return result.rows[0] || null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE structures SET ${setClauses.join(', ')}, build_cost = build_cost + $3
+       WHERE id = $1 AND agent_id = $2 AND sale_price IS NULL AND ${NOT_UNDER_AUCTION}
+       RETURNING *`,
+      values
+    );
+    if (result.rows[0] && extraCost > 0) {
+      await postLedger(client, 'build_upgrade', `structure:${structureId}`, [
+        { account: agentAccount(agentId), agentId, amount: -extraCost },
+        { account: LEDGER_ACCOUNTS.FEES, amount: extraCost },
+      ]);
+    }
+    await client.query('COMMIT');
+    if (result.rows[0]) indexStructure(result.rows[0]);
+    return result.rows[0] || null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 }
 
+// Deleting returns part of the build cost to whoever owns the structure now.
 async function deleteStructure(structureId, agentId) {
-  const result = await pool.query(
-    `DELETE FROM structures WHERE id = $1 AND agent_id = $2 RETURNING id, horizon_object_id`,
-    [structureId, agentId]
-  );
-  return result.rows[0] || null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `DELETE FROM structures WHERE id = $1 AND agent_id = $2 AND ${NOT_UNDER_AUCTION}
+       RETURNING id, horizon_object_id, build_cost, position_x, position_y, position_z`,
+      [structureId, agentId]
+    );
+    const deleted = result.rows[0];
+    if (!deleted) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const refund = buildRefund(parseInt(deleted.build_cost, 10));
+    if (refund > 0) {
+      await postLedger(client, 'build_refund', `structure:${structureId}`, [
+        { account: LEDGER_ACCOUNTS.FEES, amount: -refund },
+        { account: agentAccount(agentId), agentId, amount: refund },
+      ]);
+    }
+    await client.query('COMMIT');
+    spatialIndex.structures.remove(deleted.id);
+    return { ...deleted, refund };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 }
 
 async function getStructureById(structureId) {
@@ -348,6 +824,25 @@ async function getStructureById(structureId) {
   return result.rows[0] || null;
 }
 
+// Returns true only the first time an agent enters the cell.
+async function discoverCell(agentId, cellX, cellZ) {
+  const result = await pool.query(
+    `INSERT INTO explored_cells (agent_id, cell_x, cell_z) VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING
+     RETURNING cell_x`,
+    [agentId, cellX, cellZ]
+  );
+  return result.rowCount > 0;
+}
+
+async function getExploredCells(agentId) {
+  const result = await pool.query(
+    `SELECT cell_x, cell_z, discovered_at FROM explored_cells WHERE agent_id = $1 ORDER BY discovered_at`,
+    [agentId]
+  );
+  return result.rows;
+}
+
 async function logInteraction(agentId, actionType, data) {
   await pool.query(
     `INSERT INTO interactions (agent_id, action_type, data) VALUES ($1, $2, $3)`,
@@ -430,10 +925,13 @@ async function markInactiveAgents(timeoutMinutes = 30) {
   const result = await pool.query(
     `UPDATE positions SET in_habitat = FALSE
      WHERE in_habitat = TRUE AND last_update < NOW() - INTERVAL '1 minute' * $1
-     RETURNING agent_id`,
+     RETURNING agent_id, x, y, z`,
     [timeoutMinutes]
   );
-  return result.rows.map(r => r.agent_id);
+  for (const r of result.rows) {
+    spatialIndex.agents.remove(r.agent_id);
+  }
+  return result.rows;
 }
 
 async function syncRedisToPostgres() {
@@ -480,91 +978,66 @@ async function shutdown() {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// ECONOMY: DEPOSITS, BALANCES, TRADES
+// API KEYS
 // ═══════════════════════════════════════════════════════════════
 
-async function isTxHashUsed(txHash) {
-  const result = await pool.query(
-    `SELECT id FROM deposits WHERE tx_hash = $1`, [txHash]
-  );
-  return result.rows.length > 0;
-}
-
-async function recordDeposit(agentId, txHash, amount, fromAddress, blockNumber) {
+async function createApiKey(agentId, keyId, keyHash, label, scopes) {
   const result = await pool.query(
-    `INSERT INTO deposits (agent_id, tx_hash, amount, from_address, block_number)
+    `INSERT INTO api_keys (agent_id, key_id, key_hash, label, scopes)
      VALUES ($1, $2, $3, $4, $5)
-     RETURNING *`,
-    [agentId, txHash, amount, fromAddress || null, blockNumber || 0]
+     RETURNING id, key_id, label, scopes, created_at`,
+    [agentId, keyId, keyHash, label || '', JSON.stringify(scopes || ['*'])]
   );
   return result.rows[0];
 }
 
-async function initBalance(agentId) {
-  await pool.query(
-    `INSERT INTO balances (agent_id, shells) VALUES ($1, 0) ON CONFLICT (agent_id) DO NOTHING`,
-    [agentId]
+async function getApiKeyCredential(keyId) {
+  const result = await pool.query(
+    `SELECT id, agent_id, key_hash, scopes, expires_at FROM api_keys
+     WHERE key_id = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+    [keyId]
   );
+  return result.rows[0] || null;
 }
 
-async function getBalance(agentId) {
+async function getActiveApiKey(id) {
   const result = await pool.query(
-    `SELECT * FROM balances WHERE agent_id = $1`, [agentId]
+    `SELECT id, agent_id, scopes, expires_at FROM api_keys
+     WHERE id = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+    [id]
   );
-  if (result.rows.length === 0) {
-    await initBalance(agentId);
-    return { agent_id: agentId, shells: 0, total_earned: 0, total_spent: 0 };
-  }
-  return result.rows[0];
+  return result.rows[0] || null;
 }
 
-async function earnShells(agentId, amount, reason) {
-  await initBalance(agentId);
+// Keys issued before api_keys existed can only be found by hash comparison.
+// Returns them in id order, limit at a time, starting after afterId.
+async function getLegacyApiKeyCredentials(afterId, limit) {
   const result = await pool.query(
-    `UPDATE balances
-     SET shells = shells + $2, total_earned = total_earned + $2, updated_at = NOW()
-     WHERE agent_id = $1
-     RETURNING shells, total_earned`,
-    [agentId, amount]
+    `SELECT id, api_key_hash FROM agents
+     WHERE api_key_hash IS NOT NULL AND ($1::uuid IS NULL OR id > $1)
+     ORDER BY id
+     LIMIT $2`,
+    [afterId || null, limit]
   );
-  await logInteraction(agentId, 'earn_shells', { amount, reason, new_balance: result.rows[0]?.shells });
-  return result.rows[0];
+  return result.rows;
 }
 
-async function tradeShells(fromAgentId, toAgentId, amount, memo) {
+async function migrateLegacyApiKey(agentId, keyId) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-
-    const fromBal = await client.query(
-      `SELECT shells FROM balances WHERE agent_id = $1 FOR UPDATE`, [fromAgentId]
-    );
-    if (!fromBal.rows[0] || fromBal.rows[0].shells < amount) {
-      await client.query('ROLLBACK');
-      throw new Error(`Insufficient shells. Have: ${fromBal.rows[0]?.shells || 0}, need: ${amount}`);
-    }
-
-    await client.query(
-      `UPDATE balances SET shells = shells - $2, total_spent = total_spent + $2, updated_at = NOW()
-       WHERE agent_id = $1`,
-      [fromAgentId, amount]
-    );
-
-    await initBalance(toAgentId);
-    await client.query(
-      `UPDATE balances SET shells = shells + $2, total_earned = total_earned + $2, updated_at = NOW()
-       WHERE agent_id = $1`,
-      [toAgentId, amount]
-    );
-
-    const trade = await client.query(
-      `INSERT INTO trades (from_agent_id, to_agent_id, amount, memo)
-       VALUES ($1, $2, $3, $4) RETURNING *`,
-      [fromAgentId, toAgentId, amount, memo || '']
+    const key = await client.query(
+      `INSERT INTO api_keys (agent_id, key_id, key_hash, label)
+       SELECT id, $2, api_key_hash, 'initial' FROM agents
+       WHERE id = $1 AND api_key_hash IS NOT NULL
+       RETURNING id, agent_id, scopes, expires_at`,
+      [agentId, keyId]
     );
-
+    await client.query(`UPDATE agents SET api_key_hash = NULL WHERE id = $1`, [agentId]);
     await client.query('COMMIT');
-    return trade.rows[0];
+    return key.rows[0] || null;
   } catch (err) {
     await client.query('ROLLBACK');
     throw err;
@@ -573,36 +1046,1792 @@ async function tradeShells(fromAgentId, toAgentId, amount, memo) {
   }
 }
 
-async function getLeaderboard(limit = 10) {
+async function touchApiKey(id) {
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [id]
+  );
+}
+
+async function getApiKeys(agentId) {
   const result = await pool.query(
-    `SELECT b.shells, b.total_earned, a.name, a.avatar_color
-     FROM balances b
-     JOIN agents a ON b.agent_id = a.id
-     ORDER BY b.shells DESC
-     LIMIT $1`,
-    [Math.min(limit, 50)]
+    `SELECT id, key_id, label, scopes, created_at, expires_at, revoked_at, last_used_at,
+            (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) AS active
+     FROM api_keys WHERE agent_id = $1
+     ORDER BY created_at DESC`,
+    [agentId]
   );
   return result.rows;
 }
 
-async function getAgentDeposits(agentId) {
+async function countActiveApiKeys(agentId) {
   const result = await pool.query(
-    `SELECT tx_hash, amount, from_address, block_number, created_at
-     FROM deposits WHERE agent_id = $1 ORDER BY created_at DESC LIMIT 20`,
+    `SELECT COUNT(*) as count FROM api_keys
+     WHERE agent_id = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())`,
     [agentId]
   );
-  return result.rows;
+  return parseInt(result.rows[0].count, 10);
 }
 
-async function getEconomyStats() {
-  const totalShells = await pool.query(`SELECT COALESCE(SUM(shells),0) as total FROM balances`);
-  const totalTrades = await pool.query(`SELECT COUNT(*) as count FROM trades`);
-  const totalDeposits = await pool.query(`SELECT COUNT(*) as count FROM deposits`);
-  return {
-    total_shells_circulating: parseInt(totalShells.rows[0].total, 10),
-    total_trades: parseInt(totalTrades.rows[0].count, 10),
-    total_mon_deposits: parseInt(totalDeposits.rows[0].count, 10),
-  };
+async function expireApiKey(id, agentId, graceSeconds) {
+  const result = await pool.query(
+    `UPDATE api_keys
+     SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + INTERVAL '1 second' * $3)
+     WHERE id = $1 AND agent_id = $2 AND revoked_at IS NULL
+     RETURNING id, key_id, expires_at`,
+    [id, agentId, graceSeconds]
+  );
+  return result.rows[0] || null;
+}
+
+async function revokeApiKey(id, agentId) {
+  const result = await pool.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND agent_id = $2 AND revoked_at IS NULL
+     RETURNING id, key_id, revoked_at`,
+    [id, agentId]
+  );
+  return result.rows[0] || null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LEDGER
+// ═══════════════════════════════════════════════════════════════
+
+// World accounts are the counterparties for shells entering or leaving
+// agent hands; their balances run negative as shells are issued.
+const LEDGER_ACCOUNTS = {
+  REWARDS: 'world:rewards',
+  EXCHANGE: 'world:exchange',
+  FEES: 'world:fees',
+  OPENING: 'world:opening',
+};
+
+function agentAccount(agentId) {
+  return `agent:${agentId}`;
+}
+
+function lockedAccount(agentId) {
+  return `agent:${agentId}:locked`;
+}
+
+// Writes one balanced ledger transaction inside the caller's DB transaction
+// and applies it to the cached balances rows. Legs are { account, agentId?,
+// amount } with credits positive and debits negative. An agent account
+// going negative throws, so the caller's ROLLBACK undoes the whole posting.
+async function postLedger(client, reason, reference, legs) {
+  if (legs.reduce((sum, leg) => sum + leg.amount, 0) !== 0) {
+    throw new Error(`Unbalanced ledger posting: ${reason}`);
+  }
+
+  const txnId = crypto.randomUUID();
+  const deltas = new Map();
+  for (const leg of legs) {
+    await client.query(
+      `INSERT INTO ledger_entries (txn_id, account, agent_id, amount, reason, reference)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [txnId, leg.account, leg.agentId || null, leg.amount, reason, reference || null]
+    );
+    if (leg.agentId) {
+      const delta = deltas.get(leg.agentId) || { shells: 0, locked: 0 };
+      if (leg.account === lockedAccount(leg.agentId)) delta.locked += leg.amount;
+      else delta.shells += leg.amount;
+      deltas.set(leg.agentId, delta);
+    }
+  }
+
+  // Lock balance rows in a stable order so opposing trades cannot deadlock.
+  // Shells moving between an agent's own accounts count as neither earned
+  // nor spent.
+  for (const agentId of [...deltas.keys()].sort()) {
+    const { shells, locked } = deltas.get(agentId);
+    const net = shells + locked;
+    const result = await client.query(
+      `INSERT INTO balances (agent_id, shells, locked_shells, total_earned, total_spent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (agent_id) DO UPDATE SET
+         shells = balances.shells + $2,
+         locked_shells = balances.locked_shells + $3,
+         total_earned = balances.total_earned + $4,
+         total_spent = balances.total_spent + $5,
+         updated_at = NOW()
+       RETURNING shells, locked_shells`,
+      [agentId, shells, locked, Math.max(net, 0), Math.max(-net, 0)]
+    );
+    const balance = result.rows[0];
+    if (parseInt(balance.shells, 10) < 0 || parseInt(balance.locked_shells, 10) < 0) {
+      throw new Error(`Insufficient shells. Have: ${parseInt(balance.shells, 10) - shells}, need: ${-shells}`);
+    }
+  }
+  return txnId;
+}
+
+// Pages backwards through an agent's postings; `before` is the id of the
+// oldest entry already seen. Each entry lists the other accounts in its
+// transaction so a trade shows its counterparty.
+async function getLedgerEntries(agentId, { before, reason, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT e.id, e.txn_id, e.account, e.amount, e.reason, e.reference, e.created_at,
+       (SELECT array_agg(o.account ORDER BY o.id) FROM ledger_entries o
+        WHERE o.txn_id = e.txn_id AND o.id <> e.id) AS counter_accounts
+     FROM ledger_entries e
+     WHERE e.agent_id = $1
+       AND ($2::bigint IS NULL OR e.id < $2)
+       AND ($3::text IS NULL OR e.reason = $3)
+     ORDER BY e.id DESC
+     LIMIT $4`,
+    [agentId, before || null, reason || null, Math.min(limit, 100)]
+  );
+  return result.rows;
+}
+
+// Sums the agent's postings per period and reason. Legs of one transaction are
+// netted first, so moving shells into and out of escrow is neither earning
+// nor spending. period is a date_trunc unit: day, week or month.
+async function getStatement(agentId, { from, to, period }) {
+  const result = await pool.query(
+    `WITH txns AS (
+       SELECT txn_id, MIN(reason) AS reason, MIN(created_at) AS created_at, SUM(amount) AS net
+       FROM ledger_entries
+       WHERE agent_id = $1 AND created_at >= $2 AND created_at < $3
+       GROUP BY txn_id
+       HAVING SUM(amount) <> 0
+     )
+     SELECT date_trunc($4, created_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS period_start, reason,
+       COALESCE(SUM(net) FILTER (WHERE net > 0), 0) AS earned,
+       COALESCE(-SUM(net) FILTER (WHERE net < 0), 0) AS spent,
+       COUNT(*) AS transactions
+     FROM txns
+     GROUP BY 1, 2
+     ORDER BY 1 DESC, 2`,
+    [agentId, from, to, period]
+  );
+  return result.rows;
+}
+
+async function getLedgerBalance(agentId) {
+  const result = await pool.query(
+    `SELECT
+       COALESCE(SUM(amount) FILTER (WHERE account = $2), 0) AS shells,
+       COALESCE(SUM(amount) FILTER (WHERE account = $3), 0) AS locked_shells
+     FROM ledger_entries WHERE agent_id = $1`,
+    [agentId, agentAccount(agentId), lockedAccount(agentId)]
+  );
+  return {
+    shells: parseInt(result.rows[0].shells, 10),
+    locked_shells: parseInt(result.rows[0].locked_shells, 10),
+  };
+}
+
+// Compares every cached balance with the sum of its ledger postings. With
+// repair set, drifted rows are overwritten with the ledger's figures.
+async function reconcileBalances(repair = false) {
+  const result = await pool.query(
+    `WITH ledger AS (
+       SELECT agent_id,
+         SUM(amount) FILTER (WHERE account = 'agent:' || agent_id) AS shells,
+         SUM(amount) FILTER (WHERE account = 'agent:' || agent_id || ':locked') AS locked_shells
+       FROM ledger_entries WHERE agent_id IS NOT NULL
+       GROUP BY agent_id
+     )
+     SELECT COALESCE(b.agent_id, l.agent_id) AS agent_id,
+       COALESCE(b.shells, 0) AS shells, COALESCE(b.locked_shells, 0) AS locked_shells,
+       COALESCE(l.shells, 0) AS ledger_shells, COALESCE(l.locked_shells, 0) AS ledger_locked_shells
+     FROM balances b
+     FULL OUTER JOIN ledger l ON l.agent_id = b.agent_id
+     WHERE COALESCE(b.shells, 0) <> COALESCE(l.shells, 0)
+        OR COALESCE(b.locked_shells, 0) <> COALESCE(l.locked_shells, 0)`
+  );
+
+  if (repair) {
+    for (const row of result.rows) {
+      await pool.query(
+        `INSERT INTO balances (agent_id, shells, locked_shells) VALUES ($1, $2, $3)
+         ON CONFLICT (agent_id) DO UPDATE SET shells = $2, locked_shells = $3, updated_at = NOW()`,
+        [row.agent_id, row.ledger_shells, row.ledger_locked_shells]
+      );
+    }
+  }
+  return result.rows;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ECONOMY: DEPOSITS, BALANCES, TRADES
+// ═══════════════════════════════════════════════════════════════
+
+async function isTxHashUsed(txHash) {
+  const result = await pool.query(
+    `SELECT id FROM deposits WHERE tx_hash = $1`, [txHash]
+  );
+  return result.rows.length > 0;
+}
+
+async function recordDeposit(agentId, txHash, amount, fromAddress, blockNumber, walletBinding, blockHash) {
+  const result = await pool.query(
+    `INSERT INTO deposits (agent_id, tx_hash, amount, from_address, block_number, wallet_binding, block_hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [agentId, txHash, amount, fromAddress || null, blockNumber || 0, walletBinding || null, blockHash || null]
+  );
+  return result.rows[0];
+}
+
+async function getDepositByTxHash(txHash) {
+  const result = await pool.query(
+    `SELECT * FROM deposits WHERE tx_hash = $1`, [txHash]
+  );
+  return result.rows[0] || null;
+}
+
+// Hands a deposit the chain watcher could not attribute to the agent that
+// later proves it paid from its bound wallet.
+async function attributeDeposit(txHash, agentId, walletBinding) {
+  const result = await pool.query(
+    `UPDATE deposits SET agent_id = $2, wallet_binding = $3
+     WHERE tx_hash = $1 AND agent_id IS NULL AND status = 'confirmed'
+     RETURNING *`,
+    [txHash, agentId, walletBinding]
+  );
+  return result.rows[0] || null;
+}
+
+// Re-seen by the chain watcher: pins the canonical block and reinstates the
+// deposit if a reorg had orphaned it, giving back whatever the orphaning
+// clawed back.
+async function updateDepositBlock(txHash, blockNumber, blockHash) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const previous = await client.query(
+      `SELECT status FROM deposits WHERE tx_hash = $1 FOR UPDATE`, [txHash]
+    );
+    const result = await client.query(
+      `UPDATE deposits SET block_number = $2, block_hash = $3, status = 'confirmed'
+       WHERE tx_hash = $1
+       RETURNING *`,
+      [txHash, blockNumber, blockHash]
+    );
+    let deposit = result.rows[0] || null;
+    if (deposit && previous.rows[0].status === 'orphaned' && deposit.credited_at && deposit.agent_id) {
+      deposit = await restoreDepositCredit(client, deposit);
+    }
+    await client.query('COMMIT');
+    return deposit;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getDepositsAfterBlock(blockNumber) {
+  const result = await pool.query(
+    `SELECT * FROM deposits WHERE block_number > $1 AND status = 'confirmed'`,
+    [blockNumber]
+  );
+  return result.rows;
+}
+
+// A reorg dropped the deposit: marks it orphaned and, in the same
+// transaction, claws back what it credited (bought shells and the entry
+// bonus). Only shells the agent still holds can be taken back; the rest is
+// recorded as reversal_shortfall.
+async function orphanDeposit(txHash) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE deposits SET status = 'orphaned' WHERE tx_hash = $1 AND status = 'confirmed' RETURNING *`,
+      [txHash]
+    );
+    let deposit = result.rows[0] || null;
+    if (deposit && deposit.credited_at && deposit.agent_id) {
+      deposit = await reverseDepositCredit(client, deposit);
+    }
+    await client.query('COMMIT');
+    return deposit;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Net amount per world account across the ledger transactions an agent has
+// under reference, optionally only those with one of reasons. Negative means
+// the world account paid the agent.
+async function worldLegsForReference(client, agentId, reference, reasons = null) {
+  const result = await client.query(
+    `SELECT account, SUM(amount) AS amount FROM ledger_entries
+     WHERE agent_id IS NULL AND txn_id IN (
+       SELECT txn_id FROM ledger_entries
+       WHERE agent_id = $1 AND reference = $2 AND ($3::text[] IS NULL OR reason = ANY($3::text[]))
+     )
+     GROUP BY account
+     ORDER BY account DESC`,
+    [agentId, reference, reasons]
+  );
+  return result.rows.map(r => ({ account: r.account, amount: parseInt(r.amount, 10) }));
+}
+
+// world:rewards sorts before world:exchange, so the entry bonus is taken back
+// before bought shells.
+async function reverseDepositCredit(client, deposit) {
+  const agentId = deposit.agent_id;
+  const reference = `deposit:${deposit.tx_hash}`;
+  const balance = await client.query(
+    `SELECT shells FROM balances WHERE agent_id = $1 FOR UPDATE`, [agentId]
+  );
+  let available = balance.rows[0] ? parseInt(balance.rows[0].shells, 10) : 0;
+
+  const legs = [];
+  let owed = 0;
+  let reversed = 0;
+  for (const leg of await worldLegsForReference(client, agentId, reference)) {
+    if (leg.amount >= 0) continue;
+    owed += -leg.amount;
+    const take = Math.min(-leg.amount, available);
+    if (take > 0) {
+      legs.push({ account: leg.account, amount: take });
+      available -= take;
+      reversed += take;
+    }
+  }
+  if (reversed > 0) {
+    legs.push({ account: agentAccount(agentId), agentId, amount: -reversed });
+    await postLedger(client, 'deposit_reversal', reference, legs);
+  }
+
+  const result = await client.query(
+    `UPDATE deposits SET reversal_shortfall = $2 WHERE id = $1 RETURNING *`,
+    [deposit.id, owed - reversed]
+  );
+  return { ...result.rows[0], shells_reversed: reversed };
+}
+
+async function restoreDepositCredit(client, deposit) {
+  const agentId = deposit.agent_id;
+  const reference = `deposit:${deposit.tx_hash}`;
+  const legs = [];
+  let restored = 0;
+  for (const leg of await worldLegsForReference(client, agentId, reference, ['deposit_reversal', 'deposit_reinstated'])) {
+    if (leg.amount <= 0) continue;
+    legs.push({ account: leg.account, amount: -leg.amount });
+    restored += leg.amount;
+  }
+  if (restored > 0) {
+    legs.push({ account: agentAccount(agentId), agentId, amount: restored });
+    await postLedger(client, 'deposit_reinstated', reference, legs);
+  }
+
+  const result = await client.query(
+    `UPDATE deposits SET reversal_shortfall = 0 WHERE id = $1 RETURNING *`, [deposit.id]
+  );
+  return result.rows[0];
+}
+
+// Agents whose deposits are attributed to this sender: the payment wallet
+// wins, the owner wallet only counts while no payment wallet is bound.
+async function getAgentsByWallet(address) {
+  const result = await pool.query(
+    `SELECT id, name, payment_wallet, owner_wallet FROM agents
+     WHERE LOWER(payment_wallet) = LOWER($1)
+        OR (payment_wallet IS NULL AND LOWER(owner_wallet) = LOWER($1))`,
+    [address]
+  );
+  return result.rows;
+}
+
+async function getChainCursor(name) {
+  const result = await pool.query(
+    `SELECT * FROM chain_cursors WHERE name = $1`, [name]
+  );
+  return result.rows[0] || null;
+}
+
+// Advances the cursor and remembers the block hash in one transaction, so a
+// restart never resumes past a block it has no hash for.
+async function advanceChainCursor(name, blockNumber, blockHash) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO chain_blocks (block_number, block_hash) VALUES ($1, $2)
+       ON CONFLICT (block_number) DO UPDATE SET block_hash = $2, scanned_at = NOW()`,
+      [blockNumber, blockHash]
+    );
+    await client.query(
+      `INSERT INTO chain_cursors (name, block_number, block_hash) VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO UPDATE SET block_number = $2, block_hash = $3, updated_at = NOW()`,
+      [name, blockNumber, blockHash]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getChainBlocks(fromBlock, toBlock) {
+  const result = await pool.query(
+    `SELECT block_number, block_hash FROM chain_blocks
+     WHERE block_number BETWEEN $1 AND $2
+     ORDER BY block_number DESC`,
+    [fromBlock, toBlock]
+  );
+  return result.rows;
+}
+
+// Moves the cursor back to a common ancestor and forgets the orphaned hashes.
+async function rewindChainCursor(name, blockNumber, blockHash) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM chain_blocks WHERE block_number > $1`, [blockNumber]);
+    await client.query(
+      `UPDATE chain_cursors SET block_number = $2, block_hash = $3, updated_at = NOW() WHERE name = $1`,
+      [name, blockNumber, blockHash]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function pruneChainBlocks(belowBlock) {
+  await pool.query(`DELETE FROM chain_blocks WHERE block_number < $1`, [belowBlock]);
+}
+
+async function hasEntryDeposit(agentId) {
+  const result = await pool.query(
+    `SELECT 1 FROM deposits WHERE agent_id = $1 AND purpose = 'entry' AND status = 'confirmed' LIMIT 1`,
+    [agentId]
+  );
+  return result.rows.length > 0;
+}
+
+// Marks a deposit credited and posts any purchased shells in one transaction,
+// so a deposit seen by several paths is only ever credited once. The agent row
+// is locked while deciding whether this is the agent's entry deposit, so two
+// deposits credited together cannot both pay the entry fee and earn the
+// bonus. entry and purchase are the { shells, details } to credit for either
+// outcome; entry is null when the deposit is smaller than the entry fee, so it
+// can only be a purchase. Returns null when the deposit was already credited.
+async function creditDeposit(txHash, { entry, purchase, entryBonus }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const pending = await client.query(
+      `SELECT agent_id FROM deposits
+       WHERE tx_hash = $1 AND credited_at IS NULL AND agent_id IS NOT NULL AND status = 'confirmed'`,
+      [txHash]
+    );
+    if (!pending.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { agent_id } = pending.rows[0];
+    await client.query(`SELECT id FROM agents WHERE id = $1 FOR UPDATE`, [agent_id]);
+    const entryPaid = await client.query(
+      `SELECT 1 FROM deposits WHERE agent_id = $1 AND purpose = 'entry' AND status = 'confirmed' LIMIT 1`,
+      [agent_id]
+    );
+    const purpose = entryPaid.rows.length > 0 || !entry ? 'purchase' : 'entry';
+    const { shells, details } = purpose === 'entry' ? entry : purchase;
+
+    const deposit = await client.query(
+      `UPDATE deposits SET purpose = $2, shells_credited = $3, credited_at = NOW()
+       WHERE tx_hash = $1 AND credited_at IS NULL AND status = 'confirmed'
+       RETURNING *`,
+      [txHash, purpose, shells]
+    );
+    if (!deposit.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (purpose === 'entry' && entryBonus > 0) {
+      await postLedger(client, 'first_entry_bonus', `deposit:${txHash}`, [
+        { account: LEDGER_ACCOUNTS.REWARDS, amount: -entryBonus },
+        { account: agentAccount(agent_id), agentId: agent_id, amount: entryBonus },
+      ]);
+    }
+    if (shells > 0) {
+      await postLedger(client, 'purchase', `deposit:${txHash}`, [
+        { account: LEDGER_ACCOUNTS.EXCHANGE, amount: -shells },
+        { account: agentAccount(agent_id), agentId: agent_id, amount: shells },
+      ]);
+      await client.query(
+        `INSERT INTO interactions (agent_id, action_type, data) VALUES ($1, 'purchase', $2)`,
+        [agent_id, JSON.stringify({ ...details, shells, tx_hash: txHash })]
+      );
+    }
+    await client.query('COMMIT');
+    return deposit.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function createPaymentIntent(agentId, purpose, amount, reference, ttlMinutes) {
+  const result = await pool.query(
+    `INSERT INTO payment_intents (agent_id, purpose, amount, reference, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + INTERVAL '1 minute' * $5)
+     RETURNING *`,
+    [agentId, purpose, amount, reference, ttlMinutes]
+  );
+  return result.rows[0];
+}
+
+async function getPaymentIntent(intentId, agentId) {
+  const result = await pool.query(
+    `SELECT * FROM payment_intents WHERE id = $1 AND agent_id = $2`,
+    [intentId, agentId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getOpenPaymentIntents(agentId) {
+  const result = await pool.query(
+    `SELECT * FROM payment_intents
+     WHERE agent_id = $1 AND status IN ('pending', 'seen')
+     ORDER BY created_at DESC`,
+    [agentId]
+  );
+  return result.rows;
+}
+
+async function expirePaymentIntents() {
+  const result = await pool.query(
+    `UPDATE payment_intents SET status = 'expired', updated_at = NOW()
+     WHERE status = 'pending' AND tx_hash IS NULL AND expires_at < NOW()
+     RETURNING id`
+  );
+  return result.rows.map(r => r.id);
+}
+
+async function getPaymentIntentByReference(reference) {
+  const result = await pool.query(
+    `SELECT * FROM payment_intents WHERE reference = $1`, [reference.toLowerCase()]
+  );
+  return result.rows[0] || null;
+}
+
+async function attachPaymentIntentTx(intentId, agentId, txHash) {
+  const result = await pool.query(
+    `UPDATE payment_intents SET tx_hash = $3, updated_at = NOW()
+     WHERE id = $1 AND agent_id = $2 AND status = 'pending'
+       AND tx_hash IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [intentId, agentId, txHash]
+  );
+  return result.rows[0] || null;
+}
+
+async function markPaymentIntentSeen(intentId, fromAddress, blockNumber, confirmations) {
+  const result = await pool.query(
+    `UPDATE payment_intents
+     SET status = 'seen', from_address = $2, block_number = $3, confirmations = $4, updated_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'seen')
+     RETURNING *`,
+    [intentId, fromAddress, blockNumber, confirmations]
+  );
+  return result.rows[0] || null;
+}
+
+// Confirms the intent and records its deposit atomically so a payment is
+// never credited twice.
+async function confirmPaymentIntent(intentId, amount, fromAddress, blockNumber, confirmations) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const intent = await client.query(
+      `UPDATE payment_intents
+       SET status = 'confirmed', from_address = $2, block_number = $3, confirmations = $4, updated_at = NOW()
+       WHERE id = $1 AND status IN ('pending', 'seen') AND tx_hash IS NOT NULL
+       RETURNING *`,
+      [intentId, fromAddress, blockNumber, confirmations]
+    );
+    if (!intent.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { agent_id, tx_hash } = intent.rows[0];
+    await client.query(
+      `INSERT INTO deposits (agent_id, tx_hash, amount, from_address, block_number, wallet_binding)
+       VALUES ($1, $2, $3, $4, $5, 'intent_reference')`,
+      [agent_id, tx_hash, amount, fromAddress || null, blockNumber || 0]
+    );
+    await client.query('COMMIT');
+    return intent.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function initBalance(agentId) {
+  await pool.query(
+    `INSERT INTO balances (agent_id, shells) VALUES ($1, 0) ON CONFLICT (agent_id) DO NOTHING`,
+    [agentId]
+  );
+}
+
+async function getBalance(agentId) {
+  const result = await pool.query(
+    `SELECT * FROM balances WHERE agent_id = $1`, [agentId]
+  );
+  if (result.rows.length === 0) {
+    await initBalance(agentId);
+    return { agent_id: agentId, shells: 0, total_earned: 0, total_spent: 0 };
+  }
+  return result.rows[0];
+}
+
+// Rewards are issued from world:rewards; `reference` ties the posting to
+// whatever earned it (a structure, an interaction, a deposit).
+async function earnShells(agentId, amount, reason, reference) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await postLedger(client, reason, reference, [
+      { account: LEDGER_ACCOUNTS.REWARDS, amount: -amount },
+      { account: agentAccount(agentId), agentId, amount },
+    ]);
+    const result = await client.query(
+      `SELECT shells, total_earned FROM balances WHERE agent_id = $1`, [agentId]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Pays an activity reward after applying the anti-farming rules in ECONOMY.
+// The agent's balance row is locked first so concurrent requests see each
+// other's rewards. Pass targeted for actions aimed at another agent, whose
+// reference (agent:<id>) then counts towards repeated-target dampening.
+// Returns { shells, earned, limited_by }.
+async function earnActivityReward(agentId, baseAmount, reason, reference, { targeted = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT agent_id FROM balances WHERE agent_id = $1 FOR UPDATE`, [agentId]);
+    const history = await client.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE reason = $2 AND created_at > NOW() - INTERVAL '1 minute' * $4) AS recent,
+         COUNT(*) FILTER (WHERE reason = $2 AND reference = $3
+                          AND created_at > NOW() - INTERVAL '1 minute' * $5) AS target,
+         COALESCE(SUM(amount) FILTER (WHERE reason = ANY($6)), 0) AS earned_today
+       FROM ledger_entries
+       WHERE agent_id = $1 AND account = $7 AND amount > 0 AND created_at > NOW() - INTERVAL '1 day'`,
+      [agentId, reason, reference || null, ECONOMY.REWARD_WINDOW_MINUTES, ECONOMY.REPEAT_TARGET_WINDOW_MINUTES,
+       ACTIVITY_REWARD_REASONS, agentAccount(agentId)]
+    );
+    const row = history.rows[0];
+    const { amount, limitedBy } = activityReward(baseAmount, {
+      recentCount: parseInt(row.recent, 10),
+      targetCount: targeted ? parseInt(row.target, 10) : undefined,
+      earnedToday: parseInt(row.earned_today, 10),
+    });
+
+    if (amount > 0) {
+      await postLedger(client, reason, reference, [
+        { account: LEDGER_ACCOUNTS.REWARDS, amount: -amount },
+        { account: agentAccount(agentId), agentId, amount },
+      ]);
+    }
+    const result = await client.query(
+      `SELECT shells FROM balances WHERE agent_id = $1`, [agentId]
+    );
+    await client.query('COMMIT');
+    return { shells: result.rows[0]?.shells || 0, earned: amount, limited_by: limitedBy };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function tradeShells(fromAgentId, toAgentId, amount, memo) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const trade = await client.query(
+      `INSERT INTO trades (from_agent_id, to_agent_id, amount, memo)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [fromAgentId, toAgentId, amount, memo || '']
+    );
+
+    await postLedger(client, 'trade', `trade:${trade.rows[0].id}`, [
+      { account: agentAccount(fromAgentId), agentId: fromAgentId, amount: -amount },
+      { account: agentAccount(toAgentId), agentId: toAgentId, amount },
+    ]);
+
+    await client.query('COMMIT');
+    return trade.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TRADE OFFERS
+// ═══════════════════════════════════════════════════════════════
+
+async function insertTradeOffer(client, fromAgentId, toAgentId, amount, askAmount, memo, ttlMinutes, counterOf, maxPending) {
+  // Lock the sender's balance row so concurrent offers count each other.
+  await client.query(`SELECT agent_id FROM balances WHERE agent_id = $1 FOR UPDATE`, [fromAgentId]);
+  const pending = await client.query(
+    `SELECT COUNT(*) AS count FROM trade_offers WHERE from_agent_id = $1 AND status = 'pending'`,
+    [fromAgentId]
+  );
+  if (parseInt(pending.rows[0].count, 10) >= maxPending) {
+    throw new Error(`Too many open offers (max ${maxPending}). Cancel some or wait for replies.`);
+  }
+
+  const offer = await client.query(
+    `INSERT INTO trade_offers (from_agent_id, to_agent_id, amount, ask_amount, memo, counter_of, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + INTERVAL '1 minute' * $7)
+     RETURNING *`,
+    [fromAgentId, toAgentId, amount, askAmount, memo || '', counterOf || null, ttlMinutes]
+  );
+  if (amount > 0) {
+    await postLedger(client, 'offer_escrow', `offer:${offer.rows[0].id}`, [
+      { account: agentAccount(fromAgentId), agentId: fromAgentId, amount: -amount },
+      { account: lockedAccount(fromAgentId), agentId: fromAgentId, amount },
+    ]);
+  }
+  return offer.rows[0];
+}
+
+// Moves a pending offer to a final status and returns its escrow to the sender.
+async function releaseTradeOffer(client, offerId, status, condition, params) {
+  const offer = await client.query(
+    `UPDATE trade_offers SET status = $2, resolved_at = NOW()
+     WHERE id = $1 AND status = 'pending' AND ${condition}
+     RETURNING *`,
+    [offerId, status, ...params]
+  );
+  const released = offer.rows[0];
+  if (released && parseInt(released.amount, 10) > 0) {
+    const amount = parseInt(released.amount, 10);
+    await postLedger(client, `offer_${status}`, `offer:${offerId}`, [
+      { account: lockedAccount(released.from_agent_id), agentId: released.from_agent_id, amount: -amount },
+      { account: agentAccount(released.from_agent_id), agentId: released.from_agent_id, amount },
+    ]);
+  }
+  return released || null;
+}
+
+// Who may close an offer depends on how it closes: the sender cancels, the
+// recipient declines or counters, and only the clock expires it.
+const OFFER_CLOSE_CONDITIONS = {
+  cancelled: 'from_agent_id = $3',
+  declined: 'to_agent_id = $3 AND expires_at > NOW()',
+  countered: 'to_agent_id = $3 AND expires_at > NOW()',
+  expired: 'expires_at <= NOW()',
+};
+
+async function createTradeOffer(fromAgentId, toAgentId, amount, askAmount, memo, ttlMinutes, maxPending) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const offer = await insertTradeOffer(
+      client, fromAgentId, toAgentId, amount, askAmount, memo, ttlMinutes, null, maxPending
+    );
+    await client.query('COMMIT');
+    return offer;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getTradeOffer(offerId) {
+  const result = await pool.query(
+    `SELECT o.*, fa.name AS from_name, ta.name AS to_name
+     FROM trade_offers o
+     LEFT JOIN agents fa ON o.from_agent_id = fa.id
+     LEFT JOIN agents ta ON o.to_agent_id = ta.id
+     WHERE o.id = $1`,
+    [offerId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getAgentTradeOffers(agentId, { status, direction, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT o.*, fa.name AS from_name, ta.name AS to_name
+     FROM trade_offers o
+     LEFT JOIN agents fa ON o.from_agent_id = fa.id
+     LEFT JOIN agents ta ON o.to_agent_id = ta.id
+     WHERE (($2 <> 'incoming' AND o.from_agent_id = $1) OR ($2 <> 'outgoing' AND o.to_agent_id = $1))
+       AND ($3::text IS NULL OR o.status = $3)
+     ORDER BY o.created_at DESC
+     LIMIT $4`,
+    [agentId, direction || 'all', status || null, Math.min(limit, 100)]
+  );
+  return result.rows;
+}
+
+// Settles an offer in one posting: the escrow goes to the recipient and the
+// asked shells come back from the recipient's spendable balance.
+async function acceptTradeOffer(offerId, agentId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE trade_offers SET status = 'accepted', resolved_at = NOW()
+       WHERE id = $1 AND to_agent_id = $2 AND status = 'pending' AND expires_at > NOW()
+       RETURNING *`,
+      [offerId, agentId]
+    );
+    const offer = result.rows[0];
+    if (!offer) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const amount = parseInt(offer.amount, 10);
+    const askAmount = parseInt(offer.ask_amount, 10);
+    const legs = [];
+    if (amount > 0) {
+      legs.push(
+        { account: lockedAccount(offer.from_agent_id), agentId: offer.from_agent_id, amount: -amount },
+        { account: agentAccount(offer.to_agent_id), agentId: offer.to_agent_id, amount }
+      );
+      await client.query(
+        `INSERT INTO trades (from_agent_id, to_agent_id, amount, memo) VALUES ($1, $2, $3, $4)`,
+        [offer.from_agent_id, offer.to_agent_id, amount, offer.memo]
+      );
+    }
+    if (askAmount > 0) {
+      legs.push(
+        { account: agentAccount(offer.to_agent_id), agentId: offer.to_agent_id, amount: -askAmount },
+        { account: agentAccount(offer.from_agent_id), agentId: offer.from_agent_id, amount: askAmount }
+      );
+      await client.query(
+        `INSERT INTO trades (from_agent_id, to_agent_id, amount, memo) VALUES ($1, $2, $3, $4)`,
+        [offer.to_agent_id, offer.from_agent_id, askAmount, offer.memo]
+      );
+    }
+    await postLedger(client, 'offer_accepted', `offer:${offerId}`, legs);
+
+    await client.query('COMMIT');
+    return offer;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function closeTradeOffer(offerId, status, agentId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const params = status === 'expired' ? [] : [agentId];
+    const offer = await releaseTradeOffer(client, offerId, status, OFFER_CLOSE_CONDITIONS[status], params);
+    await client.query('COMMIT');
+    return offer;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// A counter closes the offer (refunding its escrow) and opens a new one in
+// the opposite direction, atomically.
+async function counterTradeOffer(offerId, agentId, amount, askAmount, memo, ttlMinutes, maxPending) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const original = await releaseTradeOffer(
+      client, offerId, 'countered', OFFER_CLOSE_CONDITIONS.countered, [agentId]
+    );
+    if (!original) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const counter = await insertTradeOffer(
+      client, agentId, original.from_agent_id, amount, askAmount, memo, ttlMinutes, offerId, maxPending
+    );
+    await client.query('COMMIT');
+    return { original, counter };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getExpiredTradeOfferIds() {
+  const result = await pool.query(
+    `SELECT id FROM trade_offers WHERE status = 'pending' AND expires_at <= NOW() LIMIT 200`
+  );
+  return result.rows.map(r => r.id);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STRUCTURE MARKET
+// ═══════════════════════════════════════════════════════════════
+
+// A listed structure has a sale_price; passing null takes it off the market.
+async function setStructurePrice(structureId, agentId, price) {
+  const result = await pool.query(
+    `UPDATE structures SET sale_price = $3, listed_at = CASE WHEN $3::bigint IS NULL THEN NULL ELSE NOW() END
+     WHERE id = $1 AND agent_id = $2 AND ${NOT_UNDER_AUCTION}
+     RETURNING *`,
+    [structureId, agentId, price]
+  );
+  return result.rows[0] || null;
+}
+
+async function getStructureListings({ type, material, maxPrice, sellerId, limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT s.*, a.name AS owner_name
+     FROM structures s
+     LEFT JOIN agents a ON s.agent_id = a.id
+     WHERE s.sale_price IS NOT NULL AND s.agent_id IS NOT NULL
+       AND ($1::text IS NULL OR s.type = $1)
+       AND ($2::text IS NULL OR s.material = $2)
+       AND ($3::bigint IS NULL OR s.sale_price <= $3)
+       AND ($4::uuid IS NULL OR s.agent_id = $4)
+     ORDER BY s.sale_price ASC, s.listed_at ASC
+     LIMIT $5 OFFSET $6`,
+    [type || null, material || null, maxPrice || null, sellerId || null, Math.min(limit, 100), offset]
+  );
+  return result.rows;
+}
+
+async function getStructureTransfers(structureId, limit = 20) {
+  const result = await pool.query(
+    `SELECT t.*, fa.name AS from_name, ta.name AS to_name
+     FROM structure_transfers t
+     LEFT JOIN agents fa ON t.from_agent_id = fa.id
+     LEFT JOIN agents ta ON t.to_agent_id = ta.id
+     WHERE t.structure_id = $1
+     ORDER BY t.created_at DESC
+     LIMIT $2`,
+    [structureId, limit]
+  );
+  return result.rows;
+}
+
+// Buys a listed structure: the price moves to the seller and the structure to
+// the buyer in one transaction. maxPrice guards against a relisting between
+// the buyer reading the listing and buying it. Returns null if not for sale.
+async function buyStructure(structureId, buyerId, maxPrice) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const listed = await client.query(
+      `SELECT * FROM structures
+       WHERE id = $1 AND sale_price IS NOT NULL AND agent_id IS NOT NULL
+       FOR UPDATE`,
+      [structureId]
+    );
+    const structure = listed.rows[0];
+    if (!structure) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const price = parseInt(structure.sale_price, 10);
+    if (structure.agent_id === buyerId) {
+      throw new Error('You already own this structure');
+    }
+    if (maxPrice !== undefined && price > maxPrice) {
+      throw new Error(`Price changed. Listed at ${price} shells, you offered at most ${maxPrice}`);
+    }
+
+    const sold = await client.query(
+      `UPDATE structures SET agent_id = $2, sale_price = NULL, listed_at = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [structureId, buyerId]
+    );
+    await client.query(
+      `INSERT INTO structure_transfers (structure_id, from_agent_id, to_agent_id, kind, price)
+       VALUES ($1, $2, $3, 'sale', $4)`,
+      [structureId, structure.agent_id, buyerId, price]
+    );
+    await postLedger(client, 'structure_sale', `structure:${structureId}`, [
+      { account: agentAccount(buyerId), agentId: buyerId, amount: -price },
+      { account: agentAccount(structure.agent_id), agentId: structure.agent_id, amount: price },
+    ]);
+
+    await client.query('COMMIT');
+    return { structure: sold.rows[0], sellerId: structure.agent_id, price };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Gives a structure away. Any listing is withdrawn with the transfer.
+async function transferStructure(structureId, fromAgentId, toAgentId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE structures SET agent_id = $3, sale_price = NULL, listed_at = NULL
+       WHERE id = $1 AND agent_id = $2 AND ${NOT_UNDER_AUCTION}
+       RETURNING *`,
+      [structureId, fromAgentId, toAgentId]
+    );
+    if (!result.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    await client.query(
+      `INSERT INTO structure_transfers (structure_id, from_agent_id, to_agent_id, kind)
+       VALUES ($1, $2, $3, 'gift')`,
+      [structureId, fromAgentId, toAgentId]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// AUCTIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Opening an auction takes the structure off the fixed-price market.
+async function openAuction(structureId, sellerId, reservePrice, minIncrement, durationMinutes) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const owned = await client.query(
+      `UPDATE structures SET sale_price = NULL, listed_at = NULL
+       WHERE id = $1 AND agent_id = $2
+       RETURNING id`,
+      [structureId, sellerId]
+    );
+    if (!owned.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const result = await client.query(
+      `INSERT INTO auctions (structure_id, seller_id, reserve_price, min_increment, ends_at)
+       VALUES ($1, $2, $3, $4, NOW() + INTERVAL '1 minute' * $5)
+       ON CONFLICT (structure_id) WHERE status = 'open' DO NOTHING
+       RETURNING *`,
+      [structureId, sellerId, reservePrice, minIncrement, durationMinutes]
+    );
+    if (!result.rows[0]) {
+      throw new Error('This structure is already up for auction');
+    }
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const AUCTION_SELECT = `
+  SELECT au.*, s.name AS structure_name, s.type AS structure_type, s.material AS structure_material,
+         sa.name AS seller_name, ba.name AS high_bidder_name
+  FROM auctions au
+  LEFT JOIN structures s ON au.structure_id = s.id
+  LEFT JOIN agents sa ON au.seller_id = sa.id
+  LEFT JOIN agents ba ON au.high_bidder_id = ba.id`;
+
+async function getAuction(auctionId) {
+  const result = await pool.query(`${AUCTION_SELECT} WHERE au.id = $1`, [auctionId]);
+  return result.rows[0] || null;
+}
+
+async function getOpenAuctionForStructure(structureId) {
+  const result = await pool.query(
+    `${AUCTION_SELECT} WHERE au.structure_id = $1 AND au.status = 'open'`,
+    [structureId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getAuctions({ status = 'open', limit = 50 } = {}) {
+  const result = await pool.query(
+    `${AUCTION_SELECT}
+     WHERE au.status = $1
+     ORDER BY CASE WHEN au.status = 'open' THEN au.ends_at END ASC, au.created_at DESC
+     LIMIT $2`,
+    [status, Math.min(limit, 100)]
+  );
+  return result.rows;
+}
+
+async function getAuctionBids(auctionId, limit = 50) {
+  const result = await pool.query(
+    `SELECT b.*, a.name AS bidder_name
+     FROM auction_bids b
+     LEFT JOIN agents a ON b.bidder_id = a.id
+     WHERE b.auction_id = $1
+     ORDER BY b.amount DESC
+     LIMIT $2`,
+    [auctionId, limit]
+  );
+  return result.rows;
+}
+
+// Escrows the bid and refunds the bid it beats in the same transaction.
+// Returns null if the auction is not open, or { auction, outbid } where outbid
+// is the refunded bid, if any.
+async function placeBid(auctionId, bidderId, amount) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const open = await client.query(
+      `SELECT * FROM auctions WHERE id = $1 AND status = 'open' AND ends_at > NOW() FOR UPDATE`,
+      [auctionId]
+    );
+    const auction = open.rows[0];
+    if (!auction) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (auction.seller_id === bidderId) {
+      throw new Error('You cannot bid on your own auction');
+    }
+    const highBid = auction.high_bid === null ? null : parseInt(auction.high_bid, 10);
+    const minimum = highBid === null
+      ? parseInt(auction.reserve_price, 10)
+      : highBid + parseInt(auction.min_increment, 10);
+    if (amount < minimum) {
+      throw new Error(`Bid too low. Minimum bid is ${minimum} shells`);
+    }
+
+    let outbid = null;
+    if (auction.high_bidder_id) {
+      const previous = await client.query(
+        `UPDATE auction_bids SET status = 'outbid'
+         WHERE auction_id = $1 AND status = 'leading'
+         RETURNING *`,
+        [auctionId]
+      );
+      outbid = previous.rows[0] || null;
+      await postLedger(client, 'auction_refund', `auction:${auctionId}`, [
+        { account: lockedAccount(auction.high_bidder_id), agentId: auction.high_bidder_id, amount: -highBid },
+        { account: agentAccount(auction.high_bidder_id), agentId: auction.high_bidder_id, amount: highBid },
+      ]);
+    }
+
+    await postLedger(client, 'auction_bid', `auction:${auctionId}`, [
+      { account: agentAccount(bidderId), agentId: bidderId, amount: -amount },
+      { account: lockedAccount(bidderId), agentId: bidderId, amount },
+    ]);
+    await client.query(
+      `INSERT INTO auction_bids (auction_id, bidder_id, amount) VALUES ($1, $2, $3)`,
+      [auctionId, bidderId, amount]
+    );
+    const updated = await client.query(
+      `UPDATE auctions SET high_bid = $2, high_bidder_id = $3 WHERE id = $1 RETURNING *`,
+      [auctionId, amount, bidderId]
+    );
+
+    await client.query('COMMIT');
+    return { auction: updated.rows[0], outbid };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Closes an auction whose end time has passed. The leading bid pays the seller
+// and the structure changes hands; without a bid it closes unsold. Should the
+// seller have left the world meanwhile, the leading bid is refunded instead.
+async function settleAuction(auctionId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const due = await client.query(
+      `SELECT * FROM auctions WHERE id = $1 AND status = 'open' AND ends_at <= NOW() FOR UPDATE`,
+      [auctionId]
+    );
+    const auction = due.rows[0];
+    if (!auction) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const highBid = auction.high_bid === null ? 0 : parseInt(auction.high_bid, 10);
+    const sold = auction.high_bidder_id && auction.seller_id;
+    if (sold) {
+      await postLedger(client, 'auction_settlement', `auction:${auctionId}`, [
+        { account: lockedAccount(auction.high_bidder_id), agentId: auction.high_bidder_id, amount: -highBid },
+        { account: agentAccount(auction.seller_id), agentId: auction.seller_id, amount: highBid },
+      ]);
+      await client.query(
+        `UPDATE structures SET agent_id = $2 WHERE id = $1`,
+        [auction.structure_id, auction.high_bidder_id]
+      );
+      await client.query(
+        `INSERT INTO structure_transfers (structure_id, from_agent_id, to_agent_id, kind, price)
+         VALUES ($1, $2, $3, 'sale', $4)`,
+        [auction.structure_id, auction.seller_id, auction.high_bidder_id, highBid]
+      );
+    } else if (auction.high_bidder_id) {
+      await postLedger(client, 'auction_refund', `auction:${auctionId}`, [
+        { account: lockedAccount(auction.high_bidder_id), agentId: auction.high_bidder_id, amount: -highBid },
+        { account: agentAccount(auction.high_bidder_id), agentId: auction.high_bidder_id, amount: highBid },
+      ]);
+    }
+    await client.query(
+      `UPDATE auction_bids SET status = $2 WHERE auction_id = $1 AND status = 'leading'`,
+      [auctionId, sold ? 'won' : 'refunded']
+    );
+    const settled = await client.query(
+      `UPDATE auctions SET status = $2, settled_at = NOW() WHERE id = $1 RETURNING *`,
+      [auctionId, sold ? 'settled' : 'unsold']
+    );
+
+    await client.query('COMMIT');
+    return settled.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Only an auction nobody has bid on can be called off.
+async function cancelAuction(auctionId, sellerId) {
+  const result = await pool.query(
+    `UPDATE auctions SET status = 'cancelled', settled_at = NOW()
+     WHERE id = $1 AND seller_id = $2 AND status = 'open' AND high_bidder_id IS NULL
+     RETURNING *`,
+    [auctionId, sellerId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getDueAuctionIds() {
+  const result = await pool.query(
+    `SELECT id FROM auctions WHERE status = 'open' AND ends_at <= NOW() ORDER BY ends_at LIMIT 100`
+  );
+  return result.rows.map(r => r.id);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// QUESTS & BOUNTIES
+// ═══════════════════════════════════════════════════════════════
+
+async function getDailyQuests(agentId) {
+  const result = await pool.query(
+    `SELECT * FROM agent_quests
+     WHERE agent_id = $1 AND quest_date = (NOW() AT TIME ZONE 'UTC')::date
+     ORDER BY created_at, quest_key`,
+    [agentId]
+  );
+  return result.rows;
+}
+
+// Quests are generated deterministically per agent and day, so concurrent
+// callers insert the same keys and the conflict clause keeps one copy.
+async function issueDailyQuests(agentId, quests) {
+  for (const q of quests) {
+    await pool.query(
+      `INSERT INTO agent_quests (agent_id, quest_date, quest_key, title, goal, target, reward)
+       VALUES ($1, (NOW() AT TIME ZONE 'UTC')::date, $2, $3, $4, $5, $6)
+       ON CONFLICT (agent_id, quest_date, quest_key) DO NOTHING`,
+      [agentId, q.key, q.title, JSON.stringify(q.goal), q.target, q.reward]
+    );
+  }
+  return getDailyQuests(agentId);
+}
+
+// Counts one step of progress and pays the reward when the target is reached.
+// seenKey makes the step count only once per distinct key. Returns the quest
+// with a completed flag, or null if nothing changed.
+async function advanceQuest(questId, seenKey) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const locked = await client.query(
+      `SELECT * FROM agent_quests WHERE id = $1 AND status = 'active' FOR UPDATE`,
+      [questId]
+    );
+    const quest = locked.rows[0];
+    if (!quest || (seenKey && quest.seen.includes(seenKey))) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const progress = quest.progress + 1;
+    const completed = progress >= quest.target;
+    const result = await client.query(
+      `UPDATE agent_quests
+       SET progress = $2,
+           seen = CASE WHEN $3::text IS NULL THEN seen ELSE seen || to_jsonb($3::text) END,
+           status = CASE WHEN $4 THEN 'completed' ELSE status END,
+           completed_at = CASE WHEN $4 THEN NOW() ELSE completed_at END
+       WHERE id = $1
+       RETURNING *`,
+      [questId, progress, seenKey || null, completed]
+    );
+    if (completed) {
+      const reward = parseInt(quest.reward, 10);
+      await postLedger(client, 'quest_reward', `quest:${questId}`, [
+        { account: LEDGER_ACCOUNTS.REWARDS, amount: -reward },
+        { account: agentAccount(quest.agent_id), agentId: quest.agent_id, amount: reward },
+      ]);
+    }
+
+    await client.query('COMMIT');
+    return { ...result.rows[0], completed };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function createBounty(posterId, title, reward, condition, expiresInHours, maxOpen) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Serialises concurrent posts by the same agent so the open count holds.
+    await client.query(`SELECT agent_id FROM balances WHERE agent_id = $1 FOR UPDATE`, [posterId]);
+    const open = await client.query(
+      `SELECT COUNT(*) AS count FROM bounties WHERE poster_id = $1 AND status = 'open'`,
+      [posterId]
+    );
+    if (parseInt(open.rows[0].count, 10) >= maxOpen) {
+      throw new Error(`Too many open bounties (max ${maxOpen}). Cancel one or wait for claims.`);
+    }
+    const result = await client.query(
+      `INSERT INTO bounties (poster_id, title, reward, condition, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + INTERVAL '1 hour' * $5)
+       RETURNING *`,
+      [posterId, title, reward, JSON.stringify(condition), expiresInHours]
+    );
+    await postLedger(client, 'bounty_escrow', `bounty:${result.rows[0].id}`, [
+      { account: agentAccount(posterId), agentId: posterId, amount: -reward },
+      { account: lockedAccount(posterId), agentId: posterId, amount: reward },
+    ]);
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const BOUNTY_SELECT = `
+  SELECT b.*, pa.name AS poster_name, ca.name AS claimer_name
+  FROM bounties b
+  LEFT JOIN agents pa ON b.poster_id = pa.id
+  LEFT JOIN agents ca ON b.claimed_by = ca.id`;
+
+async function getBounty(bountyId) {
+  const result = await pool.query(`${BOUNTY_SELECT} WHERE b.id = $1`, [bountyId]);
+  return result.rows[0] || null;
+}
+
+async function getBounties({ status = 'open', posterId, limit = 50 } = {}) {
+  const result = await pool.query(
+    `${BOUNTY_SELECT}
+     WHERE b.status = $1 AND ($2::uuid IS NULL OR b.poster_id = $2)
+     ORDER BY b.created_at DESC
+     LIMIT $3`,
+    [status, posterId || null, Math.min(limit, 100)]
+  );
+  return result.rows;
+}
+
+// True once the structure has been the proof of a claimed build bounty.
+async function isStructureUsedForBounty(structureId) {
+  const result = await pool.query(
+    `SELECT 1 FROM bounties
+     WHERE status = 'claimed' AND condition->>'type' = 'build' AND proof->>'structure_id' = $1`,
+    [structureId]
+  );
+  return result.rows.length > 0;
+}
+
+// Pays an open bounty's escrow to the claimant. The caller has already
+// verified the condition; proof records what satisfied it. Returns null if the
+// bounty is no longer open, or if a concurrent claim used the same structure.
+async function claimBounty(bountyId, claimantId, proof) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE bounties SET status = 'claimed', claimed_by = $2, proof = $3, resolved_at = NOW()
+       WHERE id = $1 AND status = 'open' AND expires_at > NOW() AND poster_id <> $2
+       RETURNING *`,
+      [bountyId, claimantId, JSON.stringify(proof || {})]
+    );
+    const bounty = result.rows[0];
+    if (!bounty) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const reward = parseInt(bounty.reward, 10);
+    await postLedger(client, 'bounty_payout', `bounty:${bountyId}`, [
+      { account: lockedAccount(bounty.poster_id), agentId: bounty.poster_id, amount: -reward },
+      { account: agentAccount(claimantId), agentId: claimantId, amount: reward },
+    ]);
+    await client.query('COMMIT');
+    return bounty;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') return null;
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Cancels (by the poster) or expires (by the clock) an open bounty and
+// returns its escrow.
+async function closeBounty(bountyId, status, posterId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const condition = status === 'expired' ? 'expires_at <= NOW()' : 'poster_id = $3';
+    const result = await client.query(
+      `UPDATE bounties SET status = $2, resolved_at = NOW()
+       WHERE id = $1 AND status = 'open' AND ${condition}
+       RETURNING *`,
+      status === 'expired' ? [bountyId, status] : [bountyId, status, posterId]
+    );
+    const bounty = result.rows[0];
+    if (!bounty) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const reward = parseInt(bounty.reward, 10);
+    await postLedger(client, `bounty_${status}`, `bounty:${bountyId}`, [
+      { account: lockedAccount(bounty.poster_id), agentId: bounty.poster_id, amount: -reward },
+      { account: agentAccount(bounty.poster_id), agentId: bounty.poster_id, amount: reward },
+    ]);
+    await client.query('COMMIT');
+    return bounty;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getExpiredBountyIds() {
+  const result = await pool.query(
+    `SELECT id FROM bounties WHERE status = 'open' AND expires_at <= NOW() LIMIT 200`
+  );
+  return result.rows.map(r => r.id);
+}
+
+// Whether the agent has interacted with the target since the given time.
+async function hasInteractedSince(agentId, targetId, since) {
+  const result = await pool.query(
+    `SELECT 1 FROM interactions
+     WHERE agent_id = $1 AND action_type = 'interact' AND data->>'target_id' = $2 AND timestamp > $3
+     LIMIT 1`,
+    [agentId, targetId, since]
+  );
+  return result.rows.length > 0;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TRADE HISTORY
+// ═══════════════════════════════════════════════════════════════
+
+// Builds the WHERE clause shared by the trade list and its summary.
+// direction is 'sent', 'received' or 'all'.
+function tradeFilter(agentId, { counterpartyId, from, to, direction }) {
+  const params = [agentId, counterpartyId || null, from || null, to || null];
+  const side = {
+    sent: 't.from_agent_id = $1 AND ($2::uuid IS NULL OR t.to_agent_id = $2)',
+    received: 't.to_agent_id = $1 AND ($2::uuid IS NULL OR t.from_agent_id = $2)',
+  };
+  const sides = direction === 'sent' || direction === 'received'
+    ? side[direction]
+    : `((${side.sent}) OR (${side.received}))`;
+  return {
+    where: `${sides}
+       AND ($3::timestamptz IS NULL OR t.created_at >= $3)
+       AND ($4::timestamptz IS NULL OR t.created_at < $4)`,
+    params,
+  };
+}
+
+// Newest first, paged by the (created_at, id) of the last trade seen.
+async function getAgentTrades(agentId, filters = {}) {
+  const { where, params } = tradeFilter(agentId, filters);
+  const { before, limit = 50 } = filters;
+  const result = await pool.query(
+    `SELECT t.*, t.created_at::text AS cursor_at, fa.name AS from_name, ta.name AS to_name
+     FROM trades t
+     LEFT JOIN agents fa ON t.from_agent_id = fa.id
+     LEFT JOIN agents ta ON t.to_agent_id = ta.id
+     WHERE ${where}
+       AND ($5::timestamptz IS NULL OR (t.created_at, t.id) < ($5, $6::uuid))
+     ORDER BY t.created_at DESC, t.id DESC
+     LIMIT $7`,
+    [...params, before ? before.created_at : null, before ? before.id : null, Math.min(limit, 100)]
+  );
+  return result.rows;
+}
+
+async function getTradeSummary(agentId, filters = {}) {
+  const { where, params } = tradeFilter(agentId, filters);
+  const result = await pool.query(
+    `SELECT
+       COUNT(*) AS trades,
+       COALESCE(SUM(t.amount) FILTER (WHERE t.from_agent_id = $1), 0) AS sent,
+       COALESCE(SUM(t.amount) FILTER (WHERE t.to_agent_id = $1), 0) AS received
+     FROM trades t
+     WHERE ${where}`,
+    params
+  );
+  return result.rows[0];
+}
+
+async function getLeaderboard(limit = 10) {
+  const result = await pool.query(
+    `SELECT b.shells, b.total_earned, a.name, a.avatar_color
+     FROM balances b
+     JOIN agents a ON b.agent_id = a.id
+     ORDER BY b.shells DESC
+     LIMIT $1`,
+    [Math.min(limit, 50)]
+  );
+  return result.rows;
+}
+
+async function getAgentDeposits(agentId) {
+  const result = await pool.query(
+    `SELECT tx_hash, amount, from_address, block_number, wallet_binding, purpose, shells_credited, created_at
+     FROM deposits WHERE agent_id = $1 AND status = 'confirmed'
+     ORDER BY created_at DESC LIMIT 20`,
+    [agentId]
+  );
+  return result.rows;
+}
+
+async function getEconomyStats() {
+  const totalShells = await pool.query(`SELECT COALESCE(SUM(shells),0) as total FROM balances`);
+  const totalTrades = await pool.query(`SELECT COUNT(*) as count FROM trades`);
+  const totalDeposits = await pool.query(`SELECT COUNT(*) as count FROM deposits`);
+  return {
+    total_shells_circulating: parseInt(totalShells.rows[0].total, 10),
+    total_trades: parseInt(totalTrades.rows[0].count, 10),
+    total_mon_deposits: parseInt(totalDeposits.rows[0].count, 10),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WITHDRAWALS
+// ═══════════════════════════════════════════════════════════════
+
+// Moves the shells from the spendable account into the locked one and queues
+// the payout. The per-agent daily limit is checked under the balance row
+// lock so concurrent requests cannot both slip under it.
+async function createWithdrawal(agentId, shells, amount, toAddress, status, dailyLimitShells) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `SELECT shells FROM balances WHERE agent_id = $1 FOR UPDATE`, [agentId]
+    );
+
+    const today = await client.query(
+      `SELECT COALESCE(SUM(shells), 0) AS total FROM withdrawals
+       WHERE agent_id = $1 AND status <> 'failed' AND created_at > NOW() - INTERVAL '24 hours'`,
+      [agentId]
+    );
+    const used = parseInt(today.rows[0].total, 10);
+    if (used + shells > dailyLimitShells) {
+      throw new Error(
+        `Daily withdrawal limit exceeded. Limit: ${dailyLimitShells} shells per 24h, already requested: ${used}`
+      );
+    }
+
+    const withdrawal = await client.query(
+      `INSERT INTO withdrawals (agent_id, shells, amount, to_address, status)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [agentId, shells, amount, toAddress, status]
+    );
+    await postLedger(client, 'withdrawal_lock', `withdrawal:${withdrawal.rows[0].id}`, [
+      { account: agentAccount(agentId), agentId, amount: -shells },
+      { account: lockedAccount(agentId), agentId, amount: shells },
+    ]);
+
+    await client.query('COMMIT');
+    return withdrawal.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getWithdrawal(withdrawalId, agentId) {
+  const result = await pool.query(
+    `SELECT * FROM withdrawals WHERE id = $1 AND agent_id = $2`,
+    [withdrawalId, agentId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getAgentWithdrawals(agentId, limit = 20) {
+  const result = await pool.query(
+    `SELECT * FROM withdrawals WHERE agent_id = $1 ORDER BY created_at DESC LIMIT $2`,
+    [agentId, Math.min(limit, 100)]
+  );
+  return result.rows;
+}
+
+async function getWithdrawalsByStatus(status, limit = 50) {
+  const result = await pool.query(
+    `SELECT w.*, a.name AS agent_name FROM withdrawals w
+     LEFT JOIN agents a ON w.agent_id = a.id
+     WHERE w.status = $1 ORDER BY w.created_at ASC LIMIT $2`,
+    [status, Math.min(limit, 100)]
+  );
+  return result.rows;
+}
+
+async function approveWithdrawal(withdrawalId) {
+  const result = await pool.query(
+    `UPDATE withdrawals SET status = 'queued', approved_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'pending_approval'
+     RETURNING *`,
+    [withdrawalId]
+  );
+  return result.rows[0] || null;
+}
+
+// MON sent or in flight from the hot wallet over the last 24 hours.
+async function getDailyPayoutTotal() {
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(amount::numeric), 0)::text AS total FROM withdrawals
+     WHERE status IN ('sent', 'confirmed') AND sent_at > NOW() - INTERVAL '24 hours'`
+  );
+  return result.rows[0].total;
+}
+
+// Keeps the signed transaction and its nonce so the payout can be
+// re-broadcast until it lands or its nonce is taken by another transaction.
+async function markWithdrawalSent(withdrawalId, txHash, rawTx = null, nonce = null) {
+  const result = await pool.query(
+    `UPDATE withdrawals SET status = 'sent', tx_hash = $2, raw_tx = $3, nonce = $4, sent_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'queued'
+     RETURNING *`,
+    [withdrawalId, txHash, rawTx, nonce]
+  );
+  return result.rows[0] || null;
+}
+
+// Settles a paid withdrawal: the locked shells are spent for good.
+async function confirmWithdrawal(withdrawalId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const withdrawal = await client.query(
+      `UPDATE withdrawals SET status = 'confirmed', confirmed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'sent'
+       RETURNING *`,
+      [withdrawalId]
+    );
+    if (!withdrawal.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { agent_id } = withdrawal.rows[0];
+    const shells = parseInt(withdrawal.rows[0].shells, 10);
+    await postLedger(client, 'withdrawal', `withdrawal:${withdrawalId}`, [
+      { account: lockedAccount(agent_id), agentId: agent_id, amount: -shells },
+      { account: LEDGER_ACCOUNTS.EXCHANGE, amount: shells },
+    ]);
+    await client.query('COMMIT');
+    return withdrawal.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Fails a withdrawal that has not been paid and returns its locked shells.
+async function failWithdrawal(withdrawalId, error, fromStatuses = ['pending_approval', 'queued', 'sent']) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const withdrawal = await client.query(
+      `UPDATE withdrawals SET status = 'failed', error = $2, updated_at = NOW()
+       WHERE id = $1 AND status = ANY($3)
+       RETURNING *`,
+      [withdrawalId, error, fromStatuses]
+    );
+    if (!withdrawal.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { agent_id } = withdrawal.rows[0];
+    const shells = parseInt(withdrawal.rows[0].shells, 10);
+    await postLedger(client, 'withdrawal_refund', `withdrawal:${withdrawalId}`, [
+      { account: lockedAccount(agent_id), agentId: agent_id, amount: -shells },
+      { account: agentAccount(agent_id), agentId: agent_id, amount: shells },
+    ]);
+    await client.query('COMMIT');
+    return withdrawal.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 }
 
 async function getAllStructures() {
@@ -623,14 +2852,30 @@ module.exports = {
   initializeDatabase,
   createAgent,
   getAgentByApiKeyHash,
+  createApiKey,
+  getApiKeyCredential,
+  getActiveApiKey,
+  getLegacyApiKeyCredentials,
+  migrateLegacyApiKey,
+  touchApiKey,
+  getApiKeys,
+  countActiveApiKeys,
+  expireApiKey,
+  revokeApiKey,
   getAgentById,
   getAgentByName,
   getAgentByClaimToken,
   claimAgent,
+  claimAgentWithWallet,
+  setPaymentWallet,
   updatePosition,
   setInHabitat,
+  loadSpatialIndex,
   getNearbyAgents,
   getNearbyStructures,
+  getNearestAgents,
+  getNearestStructures,
+  getStructuresInBox,
   createStructure,
   updateStructure,
   deleteStructure,
@@ -638,13 +2883,84 @@ module.exports = {
   getAllStructures,
   isTxHashUsed,
   recordDeposit,
+  getDepositByTxHash,
+  attributeDeposit,
+  updateDepositBlock,
+  getDepositsAfterBlock,
+  orphanDeposit,
+  hasEntryDeposit,
+  creditDeposit,
+  getAgentsByWallet,
+  getChainCursor,
+  advanceChainCursor,
+  getChainBlocks,
+  rewindChainCursor,
+  pruneChainBlocks,
+  createPaymentIntent,
+  getPaymentIntent,
+  getPaymentIntentByReference,
+  getOpenPaymentIntents,
+  expirePaymentIntents,
+  attachPaymentIntentTx,
+  markPaymentIntentSeen,
+  confirmPaymentIntent,
   initBalance,
   getBalance,
   earnShells,
+  earnActivityReward,
   tradeShells,
+  setStructurePrice,
+  getStructureListings,
+  getStructureTransfers,
+  buyStructure,
+  transferStructure,
+  openAuction,
+  getAuction,
+  getOpenAuctionForStructure,
+  getAuctions,
+  getAuctionBids,
+  placeBid,
+  settleAuction,
+  cancelAuction,
+  getDueAuctionIds,
+  getDailyQuests,
+  issueDailyQuests,
+  advanceQuest,
+  createBounty,
+  getBounty,
+  getBounties,
+  isStructureUsedForBounty,
+  claimBounty,
+  closeBounty,
+  getExpiredBountyIds,
+  hasInteractedSince,
+  getAgentTrades,
+  getTradeSummary,
+  createTradeOffer,
+  getTradeOffer,
+  getAgentTradeOffers,
+  acceptTradeOffer,
+  closeTradeOffer,
+  counterTradeOffer,
+  getExpiredTradeOfferIds,
+  getLedgerEntries,
+  getStatement,
+  getLedgerBalance,
+  reconcileBalances,
   getLeaderboard,
   getAgentDeposits,
   getEconomyStats,
+  createWithdrawal,
+  getWithdrawal,
+  getAgentWithdrawals,
+  getWithdrawalsByStatus,
+  approveWithdrawal,
+  getDailyPayoutTotal,
+  markWithdrawalSent,
+  confirmWithdrawal,
+  failWithdrawal,
+  discoverCell,
+  getExploredCells,
   logInteraction,
   getChronicle,
   getHabitatStats,
@@ -0,0 +1,113 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('./database');
+const { logger, formatError } = require('./utils');
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+// A pending key is kept alive while its request runs, however long that takes
+// (entry payment checks and builds wait on outside services), and expires
+// shortly after a crash. A finished one is replayable for a day.
+const PENDING_TTL_SECONDS = 30;
+const PENDING_REFRESH_MS = 10 * 1000;
+const RESULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Serializes with sorted keys so {a, b} and {b, a} fingerprint the same.
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function fingerprint(body) {
+  return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+}
+
+function redisKey(agentId, req, idempotencyKey) {
+  const keyHash = crypto.createHash('sha256').update(idempotencyKey).digest('hex');
+  return `moltworld:idem:${agentId}:${req.method}:${req.baseUrl}${req.path}:${keyHash}`;
+}
+
+// Middleware for money-moving routes; mount it after authentication. A
+// request carrying an Idempotency-Key runs once per agent and route: a retry
+// with the same key and body replays the stored response, the same key with
+// another body is rejected with 422. Only 2xx responses are stored, so a
+// request that failed without effect can be retried under the same key.
+async function idempotent(req, res, next) {
+  const idempotencyKey = req.get(HEADER);
+  if (idempotencyKey === undefined) return next();
+
+  if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(idempotencyKey)) {
+    return res.status(400).json(formatError(
+      'Invalid Idempotency-Key header',
+      `Use 1-${MAX_KEY_LENGTH} printable characters, e.g. a UUID`
+    ));
+  }
+
+  const key = redisKey(req.agent.id, req, idempotencyKey);
+  const requestHash = fingerprint(req.body);
+
+  let r;
+  try {
+    r = db.getRedis();
+    const claimed = await r.set(key, JSON.stringify({ state: 'pending', fingerprint: requestHash }), {
+      NX: true,
+      EX: PENDING_TTL_SECONDS,
+    });
+
+    if (!claimed) {
+      const stored = JSON.parse(await r.get(key) || 'null');
+      if (!stored) {
+        return res.status(409).json(formatError('Idempotency-Key state changed, retry the request'));
+      }
+      if (stored.fingerprint !== requestHash) {
+        return res.status(422).json(formatError(
+          'Idempotency-Key was already used with a different request body',
+          'Use a new key for a new request'
+        ));
+      }
+      if (stored.state === 'pending') {
+        res.set('Retry-After', '1');
+        return res.status(409).json(formatError('A request with this Idempotency-Key is still in progress'));
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(stored.body);
+    }
+  } catch (err) {
+    // Without the store a retry could double-spend, so fail closed.
+    logger.error('Idempotency store unavailable', { error: err.message });
+    return res.status(503).json(formatError('Idempotency store unavailable, retry later'));
+  }
+
+  const heartbeat = setInterval(() => {
+    r.expire(key, PENDING_TTL_SECONDS)
+      .catch(err => logger.warn('Idempotency key refresh failed', { error: err.message, path: req.path }));
+  }, PENDING_REFRESH_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  // Persist the outcome before the client sees it, so an immediate retry replays it.
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    clearInterval(heartbeat);
+    const status = res.statusCode;
+    const persist = status >= 200 && status < 300
+      ? r.set(key, JSON.stringify({ state: 'done', fingerprint: requestHash, status, body }), { EX: RESULT_TTL_SECONDS })
+      : r.del(key);
+    persist
+      .catch(err => logger.error('Idempotency result not stored', { error: err.message, path: req.path }))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+}
+
+module.exports = {
+  idempotent,
+};
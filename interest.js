@@ -0,0 +1,146 @@
+'use strict';
+
+const spatialIndex = require('./spatial-index');
+const { calculateDistance } = require('./utils');
+
+// Interest management for sockets. A socket sees a positional event when its
+// area of interest contains the event position. An area is a sphere that is
+// either fixed (subscribe:region) or centred on an agent and moving with it
+// (subscribe:follow). Sockets in the global room see every event, and an
+// agent's own room sees every event the agent takes part in.
+
+const GLOBAL_ROOM = 'habitat';
+const DEFAULT_RADIUS = 100;
+const MAX_RADIUS = 500;
+
+// socket id -> { socketId, radius, center, agentId }
+const subscriptions = new Map();
+// agent id -> Set of socket ids following it
+const followers = new Map();
+// Area centres keyed by socket id, so an event only checks nearby areas.
+const areas = spatialIndex.createSpatialIndex(64);
+
+function placeArea(sub) {
+  if (!sub.center) {
+    areas.remove(sub.socketId);
+    return;
+  }
+  areas.upsert(sub.socketId, sub.center, { x: sub.radius, y: sub.radius, z: sub.radius });
+}
+
+function clampRadius(radius) {
+  const r = Number(radius);
+  if (!Number.isFinite(r) || r <= 0) return DEFAULT_RADIUS;
+  return Math.min(r, MAX_RADIUS);
+}
+
+function unsubscribe(socketId) {
+  const sub = subscriptions.get(socketId);
+  if (!sub) return false;
+  if (sub.agentId) {
+    const set = followers.get(sub.agentId);
+    set.delete(socketId);
+    if (set.size === 0) followers.delete(sub.agentId);
+  }
+  areas.remove(socketId);
+  subscriptions.delete(socketId);
+  return true;
+}
+
+// Replaces the socket's area with a fixed sphere.
+function subscribeRegion(socketId, center, radius) {
+  unsubscribe(socketId);
+  const sub = { socketId, radius: clampRadius(radius), center: { x: center.x, y: center.y, z: center.z }, agentId: null };
+  subscriptions.set(socketId, sub);
+  placeArea(sub);
+  return describe(sub);
+}
+
+// Replaces the socket's area with a sphere that follows agentId. An agent
+// outside the habitat has no position, so the area is empty until it enters.
+function subscribeFollow(socketId, agentId, radius) {
+  unsubscribe(socketId);
+  const entry = spatialIndex.agents.get(agentId);
+  const sub = {
+    socketId,
+    radius: clampRadius(radius),
+    center: entry ? { x: entry.x, y: entry.y, z: entry.z } : null,
+    agentId,
+  };
+  subscriptions.set(socketId, sub);
+  if (!followers.has(agentId)) followers.set(agentId, new Set());
+  followers.get(agentId).add(socketId);
+  placeArea(sub);
+  return describe(sub);
+}
+
+function describe(sub) {
+  return {
+    mode: sub.agentId ? 'follow' : 'region',
+    agent_id: sub.agentId,
+    center: sub.center,
+    radius: sub.radius,
+  };
+}
+
+function getSubscription(socketId) {
+  const sub = subscriptions.get(socketId);
+  return sub ? describe(sub) : null;
+}
+
+// Moves the areas of sockets following agentId to its indexed position.
+function refreshFollowers(agentId) {
+  const set = followers.get(agentId);
+  if (!set) return;
+  const entry = spatialIndex.agents.get(agentId);
+  if (!entry) return;
+  for (const socketId of set) {
+    const sub = subscriptions.get(socketId);
+    sub.center = { x: entry.x, y: entry.y, z: entry.z };
+    placeArea(sub);
+  }
+}
+
+// Rooms and socket ids that should receive an event at the given positions
+// involving the given agents.
+function recipients({ at = [], agents = [] } = {}) {
+  const targets = new Set([GLOBAL_ROOM]);
+  for (const agentId of agents) {
+    refreshFollowers(agentId);
+    targets.add(`agent:${agentId}`);
+    for (const socketId of followers.get(agentId) || []) {
+      targets.add(socketId);
+    }
+  }
+  for (const point of at) {
+    if (!point) continue;
+    for (const hit of areas.box(point, point)) {
+      if (targets.has(hit.id)) continue;
+      const sub = subscriptions.get(hit.id);
+      if (calculateDistance(sub.center, point) <= sub.radius) {
+        targets.add(hit.id);
+      }
+    }
+  }
+  return [...targets];
+}
+
+// Emits a positional event to the sockets interested in it. scope.at lists
+// the positions the event happens at (a move passes both ends so observers
+// see agents leave as well as arrive); scope.agents lists the agents it
+// involves.
+function publish(io, event, payload, scope) {
+  io.to(recipients(scope)).emit(event, payload);
+}
+
+module.exports = {
+  publish,
+  recipients,
+  subscribeRegion,
+  subscribeFollow,
+  unsubscribe,
+  getSubscription,
+  GLOBAL_ROOM,
+  DEFAULT_RADIUS,
+  MAX_RADIUS,
+};
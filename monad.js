@@ -1,13 +1,32 @@
 'use strict';
 
+const crypto = require('crypto');
 const { ethers } = require('ethers');
-const { logger } = require('./utils');
+const db = require('./database');
+const { logger, ECONOMY } = require('./utils');
 
 let provider = null;
 const DEV_MODE = process.env.MONAD_DEV_MODE === 'true';
 const WORLD_WALLET = (process.env.MONAD_WORLD_WALLET || '').toLowerCase();
 const ENTRY_FEE = process.env.MONAD_ENTRY_FEE || '0.1';
 const MIN_CONFIRMATIONS = parseInt(process.env.MONAD_MIN_CONFIRMATIONS || '1', 10);
+const INTENT_TTL_MINUTES = parseInt(process.env.MONAD_INTENT_TTL_MINUTES || '30', 10);
+const SHELLS_PER_MON = process.env.MONAD_SHELLS_PER_MON || '500';
+const WATCH_INTERVAL_MS = parseInt(process.env.MONAD_WATCH_INTERVAL_MS || '5000', 10);
+const WATCH_MAX_BLOCKS = parseInt(process.env.MONAD_WATCH_MAX_BLOCKS || '100', 10);
+const REORG_DEPTH = parseInt(process.env.MONAD_REORG_DEPTH || '32', 10);
+const WATCHER_CURSOR = 'deposits';
+const PAYOUT_INTERVAL_MS = parseInt(process.env.MONAD_PAYOUT_INTERVAL_MS || '15000', 10);
+const PAYOUT_DAILY_LIMIT_MON = process.env.MONAD_PAYOUT_DAILY_LIMIT_MON || '10';
+const WITHDRAW_MIN_SHELLS = parseInt(process.env.MONAD_WITHDRAW_MIN_SHELLS || '100', 10);
+const WITHDRAW_DAILY_LIMIT_SHELLS = parseInt(process.env.MONAD_WITHDRAW_DAILY_LIMIT_SHELLS || '5000', 10);
+const WITHDRAW_APPROVAL_THRESHOLD = parseInt(process.env.MONAD_WITHDRAW_APPROVAL_THRESHOLD || '2000', 10);
+
+let hotWallet = null;
+let watcherTimer = null;
+let watcherBusy = false;
+let payoutTimer = null;
+let payoutBusy = false;
 
 async function connect() {
   if (DEV_MODE) {
@@ -35,22 +54,27 @@ async function connect() {
     logger.error('Monad RPC connection failed', { error: err.message });
     throw err;
   }
-}
 
-async function verifyEntryPayment(txHash) {
-  if (!txHash || typeof txHash !== 'string') {
-    throw new Error('tx_hash is required');
+  if (process.env.MONAD_HOT_WALLET_KEY) {
+    hotWallet = new ethers.Wallet(process.env.MONAD_HOT_WALLET_KEY, provider);
+    logger.info('Payout hot wallet loaded', { address: hotWallet.address });
   }
+}
 
-  if (!/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
-    throw new Error('Invalid transaction hash format (expected 0x + 64 hex chars)');
+// expectedFrom is the agent's bound wallet; payments from any other sender
+// are rejected so an observed tx hash cannot be claimed by another agent.
+async function verifyEntryPayment(txHash, expectedFrom) {
+  validateTxHash(txHash);
+
+  if (!expectedFrom) {
+    throw new Error('A bound wallet is required to verify the sender');
   }
 
   if (DEV_MODE) {
     return {
       verified: true,
       amount: ENTRY_FEE,
-      from: '0x' + '0'.repeat(40),
+      from: expectedFrom,
       block: 0,
       dev_mode: true,
     };
@@ -75,10 +99,14 @@ async function verifyEntryPayment(txHash) {
     throw new Error(`Transaction needs ${MIN_CONFIRMATIONS} confirmations, has ${confirmations}`);
   }
 
-  if (tx.to && tx.to.toLowerCase() !== WORLD_WALLET) {
+  if (!tx.to || tx.to.toLowerCase() !== WORLD_WALLET) {
     throw new Error('Transaction recipient is not the Moltworld wallet');
   }
 
+  if (tx.from.toLowerCase() !== expectedFrom.toLowerCase()) {
+    throw new Error(`Transaction sender ${tx.from} does not match the agent's bound wallet ${expectedFrom}`);
+  }
+
   const minAmount = ethers.parseEther(ENTRY_FEE);
   if (tx.value < minAmount) {
     throw new Error(
@@ -94,6 +122,697 @@ async function verifyEntryPayment(txHash) {
   };
 }
 
+function validateTxHash(txHash) {
+  if (!txHash || typeof txHash !== 'string') {
+    throw new Error('tx_hash is required');
+  }
+
+  if (!/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+    throw new Error('Invalid transaction hash format (expected 0x + 64 hex chars)');
+  }
+}
+
+// Intent references travel as the transaction calldata, so a payment can
+// only ever satisfy the intent it was created for.
+function generatePaymentReference() {
+  return '0x' + crypto.randomBytes(16).toString('hex');
+}
+
+// Returns { status: 'seen' | 'confirmed', ... } for a transaction that pays
+// the intent, or throws if the transaction can never satisfy it.
+async function checkIntentPayment(txHash, intent) {
+  validateTxHash(txHash);
+
+  if (DEV_MODE) {
+    return {
+      status: 'confirmed',
+      amount: intent.amount,
+      from: '0x' + '0'.repeat(40),
+      block: 0,
+      confirmations: MIN_CONFIRMATIONS,
+      dev_mode: true,
+    };
+  }
+
+  const tx = await provider.getTransaction(txHash);
+  if (!tx) {
+    throw new Error('Transaction not found on Monad chain');
+  }
+
+  if (!tx.to || tx.to.toLowerCase() !== WORLD_WALLET) {
+    throw new Error('Transaction recipient is not the Moltworld wallet');
+  }
+
+  if ((tx.data || '0x').toLowerCase() !== intent.reference.toLowerCase()) {
+    throw new Error('Transaction data does not carry this intent\'s payment reference');
+  }
+
+  const minAmount = ethers.parseEther(intent.amount);
+  if (tx.value < minAmount) {
+    throw new Error(
+      `Insufficient MON payment. Required: ${intent.amount} MON, received: ${ethers.formatEther(tx.value)} MON`
+    );
+  }
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (receipt && receipt.status !== 1) {
+    throw new Error('Transaction failed on-chain');
+  }
+
+  const currentBlock = await provider.getBlockNumber();
+  const confirmations = receipt ? currentBlock - receipt.blockNumber : 0;
+
+  return {
+    status: receipt && confirmations >= MIN_CONFIRMATIONS ? 'confirmed' : 'seen',
+    amount: ethers.formatEther(tx.value),
+    from: tx.from,
+    block: receipt ? receipt.blockNumber : null,
+    confirmations,
+  };
+}
+
+function formatIntent(intent) {
+  return {
+    intent_id: intent.id,
+    purpose: intent.purpose,
+    status: intent.status,
+    amount: intent.amount,
+    currency: 'MON',
+    pay_to: getWorldWallet(),
+    reference: intent.reference,
+    tx_hash: intent.tx_hash,
+    from: intent.from_address,
+    confirmations: intent.confirmations || 0,
+    required_confirmations: MIN_CONFIRMATIONS,
+    expires_at: intent.expires_at,
+    created_at: intent.created_at,
+  };
+}
+
+async function createEntryIntent(agentId) {
+  if (await db.hasEntryDeposit(agentId)) {
+    throw new Error('Entry fee already paid - enter the habitat directly');
+  }
+
+  const open = await db.getOpenPaymentIntents(agentId);
+  const reusable = open.find(i => i.purpose === 'entry' && (i.tx_hash || new Date(i.expires_at) > new Date()));
+  if (reusable) {
+    return reusable;
+  }
+
+  const intent = await db.createPaymentIntent(
+    agentId, 'entry', ENTRY_FEE, generatePaymentReference(), INTENT_TTL_MINUTES
+  );
+  logger.info('Payment intent created', { agent_id: agentId, intent: intent.id, amount: ENTRY_FEE });
+  return intent;
+}
+
+async function submitIntentTx(intent, txHash) {
+  validateTxHash(txHash);
+  if (await db.isTxHashUsed(txHash)) {
+    throw new Error('This transaction has already been used');
+  }
+
+  // Reject transactions that can never satisfy the intent before binding them.
+  await checkIntentPayment(txHash, intent);
+
+  const attached = await db.attachPaymentIntentTx(intent.id, intent.agent_id, txHash);
+  if (!attached) {
+    throw new Error(`Payment intent is ${intent.status} and cannot accept a transaction`);
+  }
+  return refreshIntent(attached);
+}
+
+// Advances an intent through pending -> seen -> confirmed (or expired) and
+// credits the deposit once it confirms.
+async function refreshIntent(intent) {
+  if (intent.status === 'pending' && !intent.tx_hash) {
+    if (new Date(intent.expires_at) <= new Date()) {
+      await db.expirePaymentIntents();
+      return { ...intent, status: 'expired' };
+    }
+    return intent;
+  }
+  if (intent.status !== 'pending' && intent.status !== 'seen') {
+    return intent;
+  }
+
+  const check = await checkIntentPayment(intent.tx_hash, intent);
+  if (check.status === 'seen') {
+    return (await db.markPaymentIntentSeen(intent.id, check.from, check.block, check.confirmations)) || intent;
+  }
+
+  const confirmed = await db.confirmPaymentIntent(
+    intent.id, check.amount, check.from, check.block, check.confirmations
+  );
+  if (!confirmed) {
+    return db.getPaymentIntent(intent.id, intent.agent_id);
+  }
+
+  await creditDeposit(await db.getDepositByTxHash(confirmed.tx_hash));
+
+  logger.info('Payment intent confirmed', {
+    intent: confirmed.id,
+    agent_id: confirmed.agent_id,
+    tx: confirmed.tx_hash,
+    dev_mode: check.dev_mode || false,
+  });
+  return confirmed;
+}
+
+// Shells bought with `wei` at the configured exchange rate, rounded down.
+function shellsForWei(wei) {
+  if (wei <= 0n) return 0;
+  return Number((wei * ethers.parseEther(SHELLS_PER_MON)) / 10n ** 36n);
+}
+
+function purchaseFor(wei) {
+  return {
+    shells: shellsForWei(wei),
+    details: { mon_amount: ethers.formatEther(wei > 0n ? wei : 0n), shells_per_mon: SHELLS_PER_MON },
+  };
+}
+
+// Credits a confirmed, attributed deposit exactly once. An agent's first
+// deposit of at least the entry fee pays the fee and earns the entry bonus;
+// anything above the fee, and every other deposit, buys shells at the
+// exchange rate. Which of
+// the two applies is decided inside the crediting transaction. Returns the
+// credited deposit, or null if it had already been credited.
+async function creditDeposit(deposit) {
+  const wei = ethers.parseEther(deposit.amount);
+  const fee = ethers.parseEther(ENTRY_FEE);
+  const credited = await db.creditDeposit(deposit.tx_hash, {
+    entry: wei >= fee ? purchaseFor(wei - fee) : null,
+    purchase: purchaseFor(wei),
+    entryBonus: ECONOMY.ENTRY_BONUS,
+  });
+  if (!credited) {
+    return null;
+  }
+
+  const shells = Number(credited.shells_credited);
+  if (shells > 0) {
+    logger.info('Shells purchased with MON', {
+      agent_id: credited.agent_id,
+      shells,
+      tx: credited.tx_hash,
+    });
+  }
+  return credited;
+}
+
+function getShellRates() {
+  return {
+    currency: 'MON',
+    shells_per_mon: Number(SHELLS_PER_MON),
+    mon_per_shell: ethers.formatEther(10n ** 36n / ethers.parseEther(SHELLS_PER_MON)),
+    entry_fee: ENTRY_FEE,
+    entry_bonus: ECONOMY.ENTRY_BONUS,
+    pay_to: getWorldWallet(),
+  };
+}
+
+// Prices a MON amount in shells; `entry` deducts the entry fee first.
+function quoteShells(monAmount, entry) {
+  let wei = ethers.parseEther(monAmount);
+  if (entry) {
+    wei -= ethers.parseEther(ENTRY_FEE);
+  }
+  return shellsForWei(wei);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DEPOSIT WATCHER
+// ═══════════════════════════════════════════════════════════════
+
+function startDepositWatcher(io) {
+  if (!provider) {
+    logger.info('Deposit watcher disabled (no Monad RPC connection)');
+    return false;
+  }
+  if (watcherTimer) {
+    return true;
+  }
+
+  watcherTimer = setInterval(async () => {
+    if (watcherBusy) return;
+    watcherBusy = true;
+    try {
+      await pollDeposits(io);
+    } catch (err) {
+      logger.error('Deposit watcher poll failed', { error: err.message });
+    } finally {
+      watcherBusy = false;
+    }
+  }, WATCH_INTERVAL_MS);
+
+  logger.info('Deposit watcher started', {
+    interval_ms: WATCH_INTERVAL_MS,
+    confirmations: MIN_CONFIRMATIONS,
+    reorg_depth: REORG_DEPTH,
+  });
+  return true;
+}
+
+function stopDepositWatcher() {
+  if (watcherTimer) {
+    clearInterval(watcherTimer);
+    watcherTimer = null;
+  }
+}
+
+// One watcher pass: rewinds past any reorg, then scans the blocks between the
+// cursor and the newest block with enough confirmations. Safe to re-run after
+// a failure; the cursor only advances once a block is fully recorded.
+async function pollDeposits(io) {
+  if (!provider) {
+    throw new Error('Monad RPC is not connected');
+  }
+
+  const head = await provider.getBlockNumber();
+  const safeHead = head - MIN_CONFIRMATIONS;
+
+  let cursor = await db.getChainCursor(WATCHER_CURSOR);
+  if (!cursor) {
+    const start = process.env.MONAD_WATCH_START_BLOCK
+      ? parseInt(process.env.MONAD_WATCH_START_BLOCK, 10) - 1
+      : safeHead;
+    const block = await provider.getBlock(start);
+    await db.advanceChainCursor(WATCHER_CURSOR, start, block.hash);
+    cursor = { block_number: start, block_hash: block.hash };
+    logger.info('Deposit watcher cursor initialized', { block: start });
+  }
+
+  let last = { number: Number(cursor.block_number), hash: cursor.block_hash };
+  const tip = await provider.getBlock(last.number);
+  if (!tip || tip.hash !== last.hash) {
+    last = await rewindToAncestor(last.number);
+  }
+
+  const from = last.number + 1;
+  const to = Math.min(safeHead, last.number + WATCH_MAX_BLOCKS);
+  const deposits = [];
+
+  for (let n = from; n <= to; n++) {
+    const block = await provider.getBlock(n, true);
+    // A parent mismatch means the chain moved under us; the next pass rewinds.
+    if (!block || block.parentHash !== last.hash) break;
+
+    for (const tx of block.prefetchedTransactions) {
+      if (!tx.to || tx.to.toLowerCase() !== WORLD_WALLET || tx.value === 0n) continue;
+      const deposit = await recordTransfer(tx, block);
+      if (deposit) deposits.push(deposit);
+    }
+
+    await db.advanceChainCursor(WATCHER_CURSOR, block.number, block.hash);
+    last = { number: block.number, hash: block.hash };
+  }
+
+  if (last.number >= from) {
+    await db.pruneChainBlocks(last.number - REORG_DEPTH);
+  }
+
+  // Deposit details name the paying wallet, so only the depositor is told.
+  for (const deposit of deposits) {
+    if (!deposit.agent_id) continue;
+    const agent = await db.getAgentById(deposit.agent_id);
+    io.to(`agent:${deposit.agent_id}`).emit('economy:deposit', {
+      agent_id: deposit.agent_id,
+      agent: agent ? agent.name : null,
+      amount: deposit.amount,
+      currency: 'MON',
+      tx_hash: deposit.tx_hash,
+      from: deposit.from_address,
+      block: Number(deposit.block_number),
+      wallet_binding: deposit.wallet_binding,
+      purpose: deposit.purpose,
+      shells: Number(deposit.shells_credited || 0),
+      timestamp: new Date().toISOString(),
+    });
+    logger.info('MON deposit detected', {
+      agent: agent ? agent.name : '(unattributed)',
+      amount: deposit.amount,
+      tx: deposit.tx_hash,
+      block: Number(deposit.block_number),
+    });
+  }
+
+  return { head, from, to: last.number, deposits };
+}
+
+// Walks back through the stored block hashes to the newest block that is
+// still canonical, then re-checks every deposit recorded above it.
+async function rewindToAncestor(tipNumber) {
+  const floor = Math.max(tipNumber - REORG_DEPTH, 0);
+  const known = await db.getChainBlocks(floor, tipNumber);
+
+  let ancestor = null;
+  for (const row of known) {
+    const block = await provider.getBlock(Number(row.block_number));
+    if (block && block.hash === row.block_hash) {
+      ancestor = { number: block.number, hash: block.hash };
+      break;
+    }
+  }
+  if (!ancestor) {
+    const block = await provider.getBlock(floor);
+    ancestor = { number: floor, hash: block.hash };
+    logger.error('Reorg deeper than the tracked window, rescanning from its floor', {
+      tip: tipNumber,
+      floor,
+    });
+  }
+
+  const affected = await db.getDepositsAfterBlock(ancestor.number);
+  for (const deposit of affected) {
+    const receipt = await provider.getTransactionReceipt(deposit.tx_hash);
+    if (receipt && receipt.status === 1) {
+      await db.updateDepositBlock(deposit.tx_hash, receipt.blockNumber, receipt.blockHash);
+    } else {
+      const orphaned = await db.orphanDeposit(deposit.tx_hash);
+      logger.warn('Deposit orphaned by chain reorg', {
+        agent_id: deposit.agent_id,
+        tx: deposit.tx_hash,
+        block: Number(deposit.block_number),
+        shells_reversed: orphaned ? orphaned.shells_reversed || 0 : 0,
+      });
+      if (orphaned && Number(orphaned.reversal_shortfall) > 0) {
+        logger.error('Orphaned deposit credit already spent, shortfall left on the agent', {
+          agent_id: deposit.agent_id,
+          tx: deposit.tx_hash,
+          shortfall: Number(orphaned.reversal_shortfall),
+        });
+      }
+    }
+  }
+
+  await db.rewindChainCursor(WATCHER_CURSOR, ancestor.number, ancestor.hash);
+  logger.warn('Chain reorg detected, deposit cursor rewound', {
+    from: tipNumber,
+    to: ancestor.number,
+  });
+  return ancestor;
+}
+
+// Records one transfer to the world wallet, attributing it by payment intent
+// reference first and by bound wallet second. Returns the new deposit, or
+// null when the transaction was already known or did not succeed.
+async function recordTransfer(tx, block) {
+  const existing = await db.getDepositByTxHash(tx.hash);
+  if (existing) {
+    if (existing.block_hash !== block.hash || existing.status !== 'confirmed') {
+      await db.updateDepositBlock(tx.hash, block.number, block.hash);
+    }
+    return null;
+  }
+
+  const receipt = await provider.getTransactionReceipt(tx.hash);
+  if (!receipt || receipt.status !== 1) {
+    return null;
+  }
+
+  const data = (tx.data || '0x').toLowerCase();
+  const intent = data.length === 34 ? await db.getPaymentIntentByReference(data) : null;
+  if (intent && (intent.status === 'pending' || intent.status === 'seen')) {
+    try {
+      const settled = intent.tx_hash === tx.hash
+        ? await refreshIntent(intent)
+        : await submitIntentTx(intent, tx.hash);
+      if (settled.status === 'confirmed') {
+        return db.updateDepositBlock(tx.hash, block.number, block.hash);
+      }
+    } catch (err) {
+      logger.warn('Transfer does not satisfy its payment intent', {
+        intent: intent.id,
+        tx: tx.hash,
+        error: err.message,
+      });
+    }
+  }
+
+  let agentId = null;
+  let binding = null;
+  if (intent) {
+    agentId = intent.agent_id;
+    binding = 'intent_reference';
+  } else {
+    const agents = await db.getAgentsByWallet(tx.from);
+    if (agents.length === 1) {
+      agentId = agents[0].id;
+      binding = agents[0].payment_wallet ? 'payment_wallet' : 'owner_claim';
+    } else if (agents.length > 1) {
+      logger.warn('Deposit sender is bound to several agents, left unattributed', {
+        from: tx.from,
+        tx: tx.hash,
+      });
+    }
+  }
+
+  const deposit = await db.recordDeposit(
+    agentId, tx.hash, ethers.formatEther(tx.value), tx.from, block.number, binding, block.hash
+  );
+  if (agentId) {
+    return (await creditDeposit(deposit)) || deposit;
+  }
+  return deposit;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WITHDRAWALS & PAYOUT WORKER
+// ═══════════════════════════════════════════════════════════════
+
+// MON paid out for `shells` at the exchange rate, rounded down to the wei.
+function monForShells(shells) {
+  return ethers.formatEther((BigInt(shells) * 10n ** 36n) / ethers.parseEther(SHELLS_PER_MON));
+}
+
+function getWithdrawalRules() {
+  return {
+    min_shells: WITHDRAW_MIN_SHELLS,
+    daily_limit_shells: WITHDRAW_DAILY_LIMIT_SHELLS,
+    approval_threshold_shells: WITHDRAW_APPROVAL_THRESHOLD,
+    shells_per_mon: Number(SHELLS_PER_MON),
+  };
+}
+
+async function requestWithdrawal(agentId, shells, toAddress) {
+  if (!Number.isInteger(shells) || shells < WITHDRAW_MIN_SHELLS) {
+    throw new Error(`shells must be a whole number of at least ${WITHDRAW_MIN_SHELLS}`);
+  }
+
+  const amount = monForShells(shells);
+  const status = shells >= WITHDRAW_APPROVAL_THRESHOLD ? 'pending_approval' : 'queued';
+  const withdrawal = await db.createWithdrawal(
+    agentId, shells, amount, toAddress, status, WITHDRAW_DAILY_LIMIT_SHELLS
+  );
+
+  await db.logInteraction(agentId, 'withdrawal_request', {
+    withdrawal_id: withdrawal.id,
+    shells,
+    amount,
+    status,
+  });
+  logger.info('Withdrawal requested', { agent_id: agentId, shells, amount, status });
+  return withdrawal;
+}
+
+function formatWithdrawal(withdrawal) {
+  return {
+    withdrawal_id: withdrawal.id,
+    status: withdrawal.status,
+    shells: parseInt(withdrawal.shells, 10),
+    amount: withdrawal.amount,
+    currency: 'MON',
+    to: withdrawal.to_address,
+    tx_hash: withdrawal.tx_hash,
+    error: withdrawal.error,
+    created_at: withdrawal.created_at,
+    approved_at: withdrawal.approved_at,
+    sent_at: withdrawal.sent_at,
+    confirmed_at: withdrawal.confirmed_at,
+  };
+}
+
+// Status changes go to the owning agent's sockets and the chronicle.
+async function notifyWithdrawal(io, withdrawal) {
+  if (!withdrawal.agent_id) return;
+  io.to(`agent:${withdrawal.agent_id}`).emit('economy:withdrawal', formatWithdrawal(withdrawal));
+  await db.logInteraction(withdrawal.agent_id, `withdrawal_${withdrawal.status}`, {
+    withdrawal_id: withdrawal.id,
+    shells: parseInt(withdrawal.shells, 10),
+    amount: withdrawal.amount,
+    tx_hash: withdrawal.tx_hash,
+    error: withdrawal.error,
+  });
+}
+
+function startPayoutWorker(io) {
+  if (!DEV_MODE && !hotWallet) {
+    logger.info('Payout worker disabled (set MONAD_HOT_WALLET_KEY to pay out withdrawals)');
+    return false;
+  }
+  if (payoutTimer) {
+    return true;
+  }
+
+  payoutTimer = setInterval(async () => {
+    if (payoutBusy) return;
+    payoutBusy = true;
+    try {
+      await processPayouts(io);
+    } catch (err) {
+      logger.error('Payout worker pass failed', { error: err.message });
+    } finally {
+      payoutBusy = false;
+    }
+  }, PAYOUT_INTERVAL_MS);
+
+  logger.info('Payout worker started', {
+    interval_ms: PAYOUT_INTERVAL_MS,
+    daily_limit_mon: PAYOUT_DAILY_LIMIT_MON,
+    hot_wallet: hotWallet ? hotWallet.address : '(dev mode simulator)',
+  });
+  return true;
+}
+
+function stopPayoutWorker() {
+  if (payoutTimer) {
+    clearInterval(payoutTimer);
+    payoutTimer = null;
+  }
+}
+
+// One worker pass: settles payouts already on chain, then sends queued
+// withdrawals oldest first until the hot wallet's daily limit is reached.
+async function processPayouts(io) {
+  const updated = [];
+
+  for (const withdrawal of await db.getWithdrawalsByStatus('sent')) {
+    const settled = await settlePayout(withdrawal);
+    if (settled) updated.push(settled);
+  }
+
+  let budget = ethers.parseEther(PAYOUT_DAILY_LIMIT_MON) - ethers.parseEther(await db.getDailyPayoutTotal());
+  for (const withdrawal of await db.getWithdrawalsByStatus('queued', 10)) {
+    const value = ethers.parseEther(withdrawal.amount);
+    if (value > budget) {
+      logger.warn('Daily payout limit reached, withdrawals stay queued', {
+        limit_mon: PAYOUT_DAILY_LIMIT_MON,
+        next: withdrawal.id,
+      });
+      break;
+    }
+    const sent = await sendPayout(withdrawal);
+    if (sent) {
+      updated.push(sent);
+      if (sent.status === 'sent') budget -= value;
+    }
+  }
+
+  for (const withdrawal of updated) {
+    await notifyWithdrawal(io, withdrawal);
+  }
+  return updated;
+}
+
+// The signed tx is stored before broadcasting so a crash can never lose track
+// of a payout that may already be on its way. A failed broadcast is left to
+// settlePayout: the node may have accepted the tx anyway, so refunding here
+// could pay out twice.
+async function sendPayout(withdrawal) {
+  if (DEV_MODE) {
+    return db.markWithdrawalSent(withdrawal.id, '0x' + crypto.randomBytes(32).toString('hex'));
+  }
+
+  let signed;
+  try {
+    const tx = await hotWallet.populateTransaction({
+      to: withdrawal.to_address,
+      value: ethers.parseEther(withdrawal.amount),
+    });
+    signed = await hotWallet.signTransaction(tx);
+  } catch (err) {
+    // Usually RPC trouble or an empty hot wallet; retried on the next pass.
+    logger.error('Payout could not be prepared', { withdrawal: withdrawal.id, error: err.message });
+    return null;
+  }
+
+  const parsed = ethers.Transaction.from(signed);
+  const marked = await db.markWithdrawalSent(withdrawal.id, parsed.hash, signed, parsed.nonce);
+  if (!marked) {
+    return null;
+  }
+
+  try {
+    await provider.broadcastTransaction(signed);
+  } catch (err) {
+    logger.warn('Payout broadcast failed, retried until its nonce is used', {
+      withdrawal: withdrawal.id,
+      nonce: parsed.nonce,
+      error: err.message,
+    });
+    return marked;
+  }
+
+  logger.info('Payout sent', { withdrawal: withdrawal.id, amount: withdrawal.amount, tx: parsed.hash });
+  return marked;
+}
+
+// A sent payout without a receipt is re-broadcast. It only fails, and its
+// shells are only refunded, once a confirmed block shows its nonce used by a
+// different transaction, so the stored one can never be mined any more.
+async function settlePayout(withdrawal) {
+  if (DEV_MODE) {
+    return db.confirmWithdrawal(withdrawal.id);
+  }
+
+  const receipt = await provider.getTransactionReceipt(withdrawal.tx_hash);
+  if (!receipt) {
+    return resendPayout(withdrawal);
+  }
+  if (receipt.status !== 1) {
+    return db.failWithdrawal(withdrawal.id, 'Payout transaction reverted on-chain');
+  }
+
+  const currentBlock = await provider.getBlockNumber();
+  if (currentBlock - receipt.blockNumber < MIN_CONFIRMATIONS) {
+    return null;
+  }
+  return db.confirmWithdrawal(withdrawal.id);
+}
+
+async function resendPayout(withdrawal) {
+  if (!withdrawal.raw_tx) {
+    // Sent before signed payouts were stored; only a receipt can settle it.
+    return null;
+  }
+
+  const signer = ethers.Transaction.from(withdrawal.raw_tx).from;
+  const safeBlock = Math.max((await provider.getBlockNumber()) - MIN_CONFIRMATIONS, 0);
+  const usedNonces = await provider.getTransactionCount(signer, safeBlock);
+  if (usedNonces > Number(withdrawal.nonce)) {
+    // The nonce was used by the time of a confirmed block, yet this payout
+    // has no receipt: it lost its slot to another transaction.
+    if (await provider.getTransactionReceipt(withdrawal.tx_hash)) {
+      return null;
+    }
+    logger.error('Payout nonce used by another transaction', {
+      withdrawal: withdrawal.id,
+      nonce: Number(withdrawal.nonce),
+    });
+    return db.failWithdrawal(withdrawal.id, 'Payout transaction was replaced before it was mined', ['sent']);
+  }
+
+  try {
+    await provider.broadcastTransaction(withdrawal.raw_tx);
+    logger.info('Payout re-broadcast', { withdrawal: withdrawal.id, tx: withdrawal.tx_hash });
+  } catch (err) {
+    // Usually "already known" while the tx still waits in the mempool.
+  }
+  return null;
+}
+
 function getEntryFee() {
   return ENTRY_FEE;
 }
@@ -109,6 +828,25 @@ function isDevMode() {
 module.exports = {
   connect,
   verifyEntryPayment,
+  checkIntentPayment,
+  generatePaymentReference,
+  formatIntent,
+  createEntryIntent,
+  submitIntentTx,
+  refreshIntent,
+  creditDeposit,
+  getShellRates,
+  quoteShells,
+  startDepositWatcher,
+  stopDepositWatcher,
+  pollDeposits,
+  getWithdrawalRules,
+  requestWithdrawal,
+  formatWithdrawal,
+  notifyWithdrawal,
+  startPayoutWorker,
+  stopPayoutWorker,
+  processPayouts,
   getEntryFee,
   getWorldWallet,
   isDevMode,
@@ -0,0 +1,391 @@
+'use strict';
+
+const db = require('./database');
+const spatial = require('./spatial');
+const quests = require('./quests');
+const pathfinding = require('./pathfinding');
+const {
+  logger, validatePosition, calculateDistance, MAX_SPEED,
+} = require('./utils');
+
+// Server-driven movement. POST /habitat/navigate stores a route in Redis and
+// a tick advances every navigating agent towards its next waypoint through
+// spatial.moveAgent, so moves are validated, broadcast and rewarded exactly
+// like agent-sent ones. Each leg between waypoints is planned around
+// structures by pathfinding.js and replanned once if the agent gets stuck.
+
+const NAV_TICK_MS = 500;
+const NAV_TTL_SECONDS = 3600;
+const DEFAULT_NAV_SPEED = 20;
+const MAX_WAYPOINTS = 20;
+// How close counts as reaching a waypoint, and how far from a target agent
+// or structure the agent stops.
+const ARRIVE_DISTANCE = 1;
+const AGENT_STANDOFF = 5;
+const STRUCTURE_CLEARANCE = 2;
+// Ticks in a row where the move was cut short before the route is reported
+// as blocked.
+const MAX_STALLED_TICKS = 3;
+
+const navKey = agentId => `moltworld:nav:${agentId}`;
+
+// A tick writes back or clears the route it read only if the key still holds
+// exactly that route, so a cancel or a new route made meanwhile wins.
+const SAVE_NAV_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'KEEPTTL')
+return 1
+`;
+const CLEAR_NAV_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+return redis.call('DEL', KEYS[1])
+`;
+
+function saveRoute(agentId, read, nav) {
+  return db.getRedis().eval(SAVE_NAV_SCRIPT, { keys: [navKey(agentId)], arguments: [read, JSON.stringify(nav)] });
+}
+
+async function clearRoute(agentId, read) {
+  return await db.getRedis().eval(CLEAR_NAV_SCRIPT, { keys: [navKey(agentId)], arguments: [read] }) === 1;
+}
+
+// Point on the side of a structure facing `from`, just clear of its bounds.
+function approachPoint(structure, from) {
+  const center = { x: structure.position_x, y: structure.position_y, z: structure.position_z };
+  const reach = Math.max(structure.size_width, structure.size_length, structure.size_height) / 2 + STRUCTURE_CLEARANCE;
+  const distance = calculateDistance(from, center);
+  if (distance <= reach) return { x: from.x, y: from.y, z: from.z };
+  const scale = reach / distance;
+  return {
+    x: center.x + (from.x - center.x) * scale,
+    y: center.y + (from.y - center.y) * scale,
+    z: center.z + (from.z - center.z) * scale,
+  };
+}
+
+function checkPoint(p, label) {
+  if (!p || typeof p !== 'object') {
+    return `${label} must be {x, y, z}`;
+  }
+  const check = validatePosition(p.x, p.y, p.z);
+  return check.valid ? null : `${label}: ${check.error}`;
+}
+
+// Turns the request body into a route: { target, waypoints } or { error }.
+// Exactly one of position, agent, structure_id, zone or waypoints is allowed.
+async function resolveRoute(agent, body) {
+  const given = ['position', 'agent', 'structure_id', 'zone', 'waypoints'].filter(k => body[k] !== undefined);
+  if (given.length !== 1) {
+    return { error: 'Give exactly one of position, agent, structure_id, zone or waypoints' };
+  }
+  const here = { x: agent.x, y: agent.y, z: agent.z };
+
+  if (body.position !== undefined) {
+    const error = checkPoint(body.position, 'position');
+    if (error) return { error };
+    const { x, y, z } = body.position;
+    return { target: { type: 'position' }, waypoints: [{ x, y, z }] };
+  }
+
+  if (body.waypoints !== undefined) {
+    if (!Array.isArray(body.waypoints) || body.waypoints.length === 0 || body.waypoints.length > MAX_WAYPOINTS) {
+      return { error: `waypoints must be a list of 1 to ${MAX_WAYPOINTS} positions` };
+    }
+    for (const [i, p] of body.waypoints.entries()) {
+      const error = checkPoint(p, `waypoints[${i}]`);
+      if (error) return { error };
+    }
+    return { target: { type: 'waypoints' }, waypoints: body.waypoints.map(({ x, y, z }) => ({ x, y, z })) };
+  }
+
+  if (body.zone !== undefined) {
+    const zone = spatial.SPAWN_ZONES[body.zone];
+    if (!zone) {
+      return { error: `zone must be one of: ${Object.keys(spatial.SPAWN_ZONES).join(', ')}` };
+    }
+    return { target: { type: 'zone', zone: body.zone }, waypoints: [{ ...zone }] };
+  }
+
+  if (body.agent !== undefined) {
+    const target = typeof body.agent === 'string' ? await db.getAgentByName(body.agent) : null;
+    if (!target) return { error: 'Target agent not found', status: 404 };
+    if (target.id === agent.id) return { error: 'Cannot navigate to yourself' };
+    if (!target.in_habitat) return { error: 'Target agent is not in the habitat' };
+    return {
+      target: { type: 'agent', agent_id: target.id, name: target.name },
+      waypoints: [{ x: target.x, y: target.y, z: target.z }],
+    };
+  }
+
+  const structure = /^[0-9a-f-]{36}$/i.test(String(body.structure_id))
+    ? await db.getStructureById(body.structure_id)
+    : null;
+  if (!structure) return { error: 'Structure not found', status: 404 };
+  return {
+    target: { type: 'structure', structure_id: structure.id, name: structure.name },
+    waypoints: [approachPoint(structure, here)],
+  };
+}
+
+function routeLength(from, points) {
+  let length = 0;
+  let prev = from;
+  for (const p of points) {
+    length += calculateDistance(prev, p);
+    prev = p;
+  }
+  return length;
+}
+
+// Plans the leg from `from` to the current waypoint into nav.path. Returns
+// null, or findPath's reason when it found no path.
+function planLeg(nav, from) {
+  const result = pathfinding.findPath(from, nav.waypoints[nav.index]);
+  if (!result.found) return result.reason;
+  nav.path = result.waypoints.slice(1);
+  nav.path_index = 0;
+  return null;
+}
+
+function formatNavigation(nav, position) {
+  const ahead = [...nav.path.slice(nav.path_index), ...nav.waypoints.slice(nav.index + 1)];
+  const distance = position ? routeLength(position, ahead) : null;
+  return {
+    target: nav.target,
+    waypoints: nav.waypoints,
+    next_waypoint: nav.index,
+    path: nav.path.slice(nav.path_index),
+    speed: nav.speed,
+    started_at: nav.started_at,
+    ...(distance !== null && {
+      remaining_distance: Math.round(distance * 10) / 10,
+      eta_seconds: Math.ceil(distance / nav.speed),
+    }),
+  };
+}
+
+async function startNavigation(agentId, body) {
+  const agent = await db.getAgentById(agentId);
+  if (!agent) throw new Error('Agent not found');
+  if (!agent.in_habitat) throw new Error('Agent is not in the habitat');
+
+  const speed = body.speed === undefined ? DEFAULT_NAV_SPEED : Number(body.speed);
+  if (!Number.isFinite(speed) || speed < 1 || speed > MAX_SPEED) {
+    return { error: `speed must be between 1 and ${MAX_SPEED} units per second` };
+  }
+
+  const route = await resolveRoute(agent, body);
+  if (route.error) return route;
+
+  const nav = {
+    target: route.target,
+    waypoints: route.waypoints,
+    index: 0,
+    path: [],
+    path_index: 0,
+    speed,
+    stalled: 0,
+    replanned: false,
+    started_at: new Date().toISOString(),
+    last_tick: Date.now(),
+  };
+  const unplanned = planLeg(nav, { x: agent.x, y: agent.y, z: agent.z });
+  if (unplanned === 'search_limit') {
+    return { error: 'The route is too long or winding to plan; navigate via closer waypoints', status: 422 };
+  }
+  if (unplanned) {
+    return { error: 'No path to the destination; structures block every route', status: 422 };
+  }
+
+  // Following and navigating would fight over the agent's position.
+  await spatial.stopFollowing(agentId);
+
+  try {
+    await db.getRedis().set(navKey(agentId), JSON.stringify(nav), { EX: NAV_TTL_SECONDS });
+  } catch (err) {
+    logger.error('Redis navigation set failed', { error: err.message });
+    throw new Error('Navigation service temporarily unavailable');
+  }
+
+  await db.logInteraction(agentId, 'navigate', { target: nav.target, waypoints: nav.waypoints.length, speed });
+
+  return { navigation: formatNavigation(nav, agent) };
+}
+
+async function getNavigation(agentId) {
+  const data = await db.getRedis().get(navKey(agentId));
+  if (!data) return null;
+  const agent = await db.getAgentById(agentId);
+  return formatNavigation(JSON.parse(data), agent);
+}
+
+// Returns true when a route was cancelled.
+async function cancelNavigation(agentId) {
+  try {
+    return await db.getRedis().del(navKey(agentId)) > 0;
+  } catch (err) {
+    logger.warn('Redis navigation delete failed', { error: err.message });
+    return false;
+  }
+}
+
+// Ends the route read as `read` and tells the agent, unless it was already
+// cancelled or replaced.
+async function finish(agentId, read, io, event, payload) {
+  if (!await clearRoute(agentId, read)) return;
+  if (io) {
+    io.to(`agent:${agentId}`).emit(event, { ...payload, timestamp: new Date().toISOString() });
+  }
+}
+
+// Live position of an agent target, or null when it has left.
+async function targetPosition(nav) {
+  const target = await db.getAgentById(nav.target.agent_id);
+  if (!target || !target.in_habitat) return null;
+  return { x: target.x, y: target.y, z: target.z };
+}
+
+// Moves the agent one tick along the route stored as the JSON string `read`.
+async function advance(agentId, read, io) {
+  const nav = JSON.parse(read);
+  const agent = await db.getAgentById(agentId);
+  if (!agent || !agent.in_habitat) {
+    await clearRoute(agentId, read);
+    return;
+  }
+  const here = { x: agent.x, y: agent.y, z: agent.z };
+
+  // Agent targets move: stop once close enough, and aim the last leg at where
+  // the target is now.
+  let live = null;
+  if (nav.target.type === 'agent') {
+    live = await targetPosition(nav);
+    if (!live) {
+      return finish(agentId, read, io, 'navigate:blocked', { target: nav.target, position: here, reason: 'target_left' });
+    }
+    if (calculateDistance(here, live) <= AGENT_STANDOFF) {
+      return finish(agentId, read, io, 'navigate:arrived', { target: nav.target, position: here });
+    }
+  }
+
+  const waypoint = nav.path[nav.path_index];
+  const remaining = calculateDistance(here, waypoint);
+  const now = Date.now();
+  const dt = Math.min(Math.max((now - nav.last_tick) / 1000, 0.05), (NAV_TICK_MS * 2) / 1000);
+  let step = Math.min(nav.speed * dt, remaining);
+  if (live && nav.index === nav.waypoints.length - 1) {
+    step = Math.min(step, calculateDistance(here, live) - AGENT_STANDOFF);
+  }
+
+  let result = null;
+  if (step > 0) {
+    const ratio = step / remaining;
+    const next = {
+      x: here.x + (waypoint.x - here.x) * ratio,
+      y: here.y + (waypoint.y - here.y) * ratio,
+      z: here.z + (waypoint.z - here.z) * ratio,
+    };
+    const velocity = {
+      x: ((waypoint.x - here.x) / remaining) * nav.speed,
+      y: ((waypoint.y - here.y) / remaining) * nav.speed,
+      z: ((waypoint.z - here.z) / remaining) * nav.speed,
+    };
+    result = await spatial.moveAgent(agentId, next, velocity, nav.speed > 30 ? 'swim_fast' : 'swim', io);
+    quests.recordMoveProgress(agentId, here, result, io);
+  }
+  const position = result ? result.new_position : here;
+
+  if (live && calculateDistance(position, live) <= AGENT_STANDOFF + ARRIVE_DISTANCE) {
+    return finish(agentId, read, io, 'navigate:arrived', { target: nav.target, position });
+  }
+  if (calculateDistance(position, waypoint) <= ARRIVE_DISTANCE) {
+    nav.path_index++;
+    nav.stalled = 0;
+    nav.replanned = false;
+    if (nav.path_index >= nav.path.length) {
+      const last = nav.index === nav.waypoints.length - 1;
+      if (last && !live) {
+        return finish(agentId, read, io, 'navigate:arrived', { target: nav.target, position });
+      }
+      if (last) {
+        nav.waypoints[nav.index] = live;
+      } else {
+        nav.index++;
+      }
+      const unplanned = planLeg(nav, position);
+      if (unplanned) {
+        return finish(agentId, read, io, 'navigate:blocked', {
+          target: nav.target, position, waypoint: nav.index, reason: unplanned === 'search_limit' ? unplanned : 'no_path',
+        });
+      }
+    }
+  } else if (calculateDistance(here, position) < step / 2) {
+    nav.stalled++;
+    if (nav.stalled >= MAX_STALLED_TICKS) {
+      // Something was built in the way since the leg was planned: plan once
+      // more before giving up.
+      if (!nav.replanned && !planLeg(nav, position)) {
+        nav.replanned = true;
+        nav.stalled = 0;
+      } else {
+        return finish(agentId, read, io, 'navigate:blocked', {
+          target: nav.target,
+          position,
+          waypoint: nav.index,
+          reason: 'obstructed',
+          ...(result && result.blocked_by && { blocked_by: result.blocked_by }),
+        });
+      }
+    }
+  } else {
+    nav.stalled = 0;
+  }
+
+  nav.last_tick = now;
+  await saveRoute(agentId, read, nav);
+}
+
+let ticking = false;
+
+async function tickNavigation(io) {
+  // A slow tick must not overlap the next one.
+  if (ticking) return;
+  ticking = true;
+  try {
+    const r = db.getRedis();
+    const keys = [];
+    for await (const key of r.scanIterator({ MATCH: 'moltworld:nav:*', COUNT: 100 })) {
+      keys.push(key);
+    }
+
+    for (const key of keys) {
+      const agentId = key.replace('moltworld:nav:', '');
+      let data = null;
+      try {
+        data = await r.get(key);
+        if (!data) continue;
+        await advance(agentId, data, io);
+      } catch (err) {
+        logger.error('Navigation step failed', { error: err.message, agent_id: agentId });
+        const cleared = data !== null && await clearRoute(agentId, data).catch(() => false);
+        if (cleared && io) {
+          io.to(`agent:${agentId}`).emit('navigate:blocked', { reason: 'failed', timestamp: new Date().toISOString() });
+        }
+      }
+    }
+  } catch (err) {
+    logger.error('Navigation tick failed', { error: err.message });
+  } finally {
+    ticking = false;
+  }
+}
+
+module.exports = {
+  startNavigation,
+  getNavigation,
+  cancelNavigation,
+  tickNavigation,
+  NAV_TICK_MS,
+  DEFAULT_NAV_SPEED,
+  MAX_WAYPOINTS,
+};
@@ -0,0 +1,381 @@
+'use strict';
+
+const spatialIndex = require('./spatial-index');
+const { WORLD_BOUNDS, AGENT_RADIUS, calculateDistance, solidParts } = require('./utils');
+
+// A* over a voxel grid of the habitat. A voxel is blocked while any solid
+// part of a structure, grown by the agent's radius, overlaps it; arch and
+// shelter openings stay free where they are wider than a voxel. The grid listens to the
+// structure index, so building, reshaping or deleting a structure updates
+// only the voxels it covers.
+
+const VOXEL_SIZE = 5;
+const DEFAULT_MAX_EXPANSIONS = 100000;
+// How far around a blocked goal to look for a free voxel to stop at.
+const GOAL_SEARCH_VOXELS = 3;
+
+const DIMS = {
+  x: Math.ceil((WORLD_BOUNDS.x.max - WORLD_BOUNDS.x.min) / VOXEL_SIZE),
+  y: Math.ceil((WORLD_BOUNDS.y.max - WORLD_BOUNDS.y.min) / VOXEL_SIZE),
+  z: Math.ceil((WORLD_BOUNDS.z.max - WORLD_BOUNDS.z.min) / VOXEL_SIZE),
+};
+const VOXELS = DIMS.x * DIMS.y * DIMS.z;
+
+// Number of structures covering each voxel, so overlapping structures can be
+// removed independently.
+const blocked = new Uint16Array(VOXELS);
+// structure id -> voxel ranges its solid parts were rasterized into
+const footprints = new Map();
+
+const clampIndex = (v, max) => Math.max(0, Math.min(max - 1, v));
+
+function voxelOf(p) {
+  return {
+    x: clampIndex(Math.floor((p.x - WORLD_BOUNDS.x.min) / VOXEL_SIZE), DIMS.x),
+    y: clampIndex(Math.floor((p.y - WORLD_BOUNDS.y.min) / VOXEL_SIZE), DIMS.y),
+    z: clampIndex(Math.floor((p.z - WORLD_BOUNDS.z.min) / VOXEL_SIZE), DIMS.z),
+  };
+}
+
+const indexOf = (x, y, z) => x + DIMS.x * (y + DIMS.y * z);
+
+function centerOf(x, y, z) {
+  return {
+    x: WORLD_BOUNDS.x.min + (x + 0.5) * VOXEL_SIZE,
+    y: WORLD_BOUNDS.y.min + (y + 0.5) * VOXEL_SIZE,
+    z: WORLD_BOUNDS.z.min + (z + 0.5) * VOXEL_SIZE,
+  };
+}
+
+// For each solid part of the structure (see solidParts in utils.js), the
+// voxels strictly overlapping it.
+function footprintOf(entry) {
+  const center = { x: entry.x, y: entry.y, z: entry.z };
+  const half = { x: entry.hx, y: entry.hy, z: entry.hz };
+  return solidParts(center, half, entry.tag).map(part => {
+    const lo = {};
+    const hi = {};
+    for (const axis of ['x', 'y', 'z']) {
+      lo[axis] = Math.max(0, Math.floor((part.min[axis] - WORLD_BOUNDS[axis].min) / VOXEL_SIZE));
+      hi[axis] = Math.min(DIMS[axis] - 1, Math.ceil((part.max[axis] - WORLD_BOUNDS[axis].min) / VOXEL_SIZE) - 1);
+    }
+    return { lo, hi };
+  });
+}
+
+function stamp(footprint, delta) {
+  for (const { lo, hi } of footprint) {
+    for (let z = lo.z; z <= hi.z; z++) {
+      for (let y = lo.y; y <= hi.y; y++) {
+        for (let x = lo.x; x <= hi.x; x++) {
+          blocked[indexOf(x, y, z)] += delta;
+        }
+      }
+    }
+  }
+}
+
+function removeStructure(id) {
+  const footprint = footprints.get(id);
+  if (!footprint) return;
+  stamp(footprint, -1);
+  footprints.delete(id);
+}
+
+function addStructure(entry) {
+  removeStructure(entry.id);
+  const footprint = footprintOf(entry);
+  stamp(footprint, 1);
+  footprints.set(entry.id, footprint);
+}
+
+spatialIndex.structures.onChange((type, entry) => {
+  if (type === 'upsert') {
+    addStructure(entry);
+  } else if (type === 'remove') {
+    removeStructure(entry.id);
+  } else {
+    blocked.fill(0);
+    footprints.clear();
+  }
+});
+
+function isBlocked(p) {
+  const v = voxelOf(p);
+  return blocked[indexOf(v.x, v.y, v.z)] > 0;
+}
+
+// Samples the segment at quarter-voxel steps.
+function segmentClear(a, b) {
+  const distance = calculateDistance(a, b);
+  const steps = Math.max(1, Math.ceil(distance / (VOXEL_SIZE / 4)));
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    if (isBlocked({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t })) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// The 26 neighbour offsets. A diagonal step also needs every voxel it cuts
+// the corner of to be free, so paths never squeeze between touching blocks.
+const NEIGHBOURS = [];
+for (let dz = -1; dz <= 1; dz++) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (!dx && !dy && !dz) continue;
+      const corners = [];
+      for (const [cx, cy, cz] of [[dx, 0, 0], [0, dy, 0], [0, 0, dz], [dx, dy, 0], [dx, 0, dz], [0, dy, dz]]) {
+        const nonZero = (cx !== 0) + (cy !== 0) + (cz !== 0);
+        const total = (dx !== 0) + (dy !== 0) + (dz !== 0);
+        if (nonZero > 0 && nonZero < total) corners.push([cx, cy, cz]);
+      }
+      NEIGHBOURS.push({ dx, dy, dz, cost: Math.hypot(dx, dy, dz), corners });
+    }
+  }
+}
+
+// Search state is allocated on first use and reused; a search id marks which
+// entries belong to the current search so nothing has to be cleared.
+let gScore = null;
+let cameFrom = null;
+let seen = null;
+let closed = null;
+let searchId = 0;
+
+function allocate() {
+  if (gScore) return;
+  gScore = new Float32Array(VOXELS);
+  cameFrom = new Int32Array(VOXELS);
+  seen = new Uint32Array(VOXELS);
+  closed = new Uint32Array(VOXELS);
+}
+
+// Binary min-heap of voxel indexes keyed by f score.
+function createHeap() {
+  const nodes = [];
+  const keys = [];
+  return {
+    get size() { return nodes.length; },
+    push(node, key) {
+      let i = nodes.length;
+      nodes.push(node);
+      keys.push(key);
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (keys[parent] <= key) break;
+        nodes[i] = nodes[parent];
+        keys[i] = keys[parent];
+        i = parent;
+      }
+      nodes[i] = node;
+      keys[i] = key;
+    },
+    pop() {
+      const top = nodes[0];
+      const lastNode = nodes.pop();
+      const lastKey = keys.pop();
+      if (nodes.length > 0) {
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          if (left >= nodes.length) break;
+          const right = left + 1;
+          const child = right < nodes.length && keys[right] < keys[left] ? right : left;
+          if (keys[child] >= lastKey) break;
+          nodes[i] = nodes[child];
+          keys[i] = keys[child];
+          i = child;
+        }
+        nodes[i] = lastNode;
+        keys[i] = lastKey;
+      }
+      return top;
+    },
+  };
+}
+
+// Nearest free voxel to v within GOAL_SEARCH_VOXELS that accept() allows,
+// or null.
+function nearestFree(v, accept = () => true) {
+  if (!blocked[indexOf(v.x, v.y, v.z)]) return v;
+  const candidates = [];
+  const r = GOAL_SEARCH_VOXELS;
+  for (let dz = -r; dz <= r; dz++) {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        const x = v.x + dx;
+        const y = v.y + dy;
+        const z = v.z + dz;
+        if (x < 0 || y < 0 || z < 0 || x >= DIMS.x || y >= DIMS.y || z >= DIMS.z) continue;
+        if (!blocked[indexOf(x, y, z)]) candidates.push({ x, y, z, d: dx * dx + dy * dy + dz * dz });
+      }
+    }
+  }
+  candidates.sort((a, b) => a.d - b.d);
+  const best = candidates.find(c => accept(c));
+  return best ? { x: best.x, y: best.y, z: best.z } : null;
+}
+
+const insideBox = (p, box) => ['x', 'y', 'z'].every(axis => p[axis] > box.min[axis] && p[axis] < box.max[axis]);
+
+// Whether an agent at `from`, whose voxel is blocked, can swim straight to
+// `to` without entering a structure's solid parts. Parts it already overlaps
+// are ignored, as in spatial.resolveMovement.
+function escapeClear(from, to) {
+  const min = {};
+  const max = {};
+  for (const axis of ['x', 'y', 'z']) {
+    min[axis] = Math.min(from[axis], to[axis]) - AGENT_RADIUS;
+    max[axis] = Math.max(from[axis], to[axis]) + AGENT_RADIUS;
+  }
+  const parts = [];
+  for (const hit of spatialIndex.structures.box(min, max)) {
+    for (const part of solidParts(hit.position, hit.half, hit.tag)) {
+      if (!insideBox(from, part)) parts.push(part);
+    }
+  }
+  const steps = Math.max(1, Math.ceil(calculateDistance(from, to) / (VOXEL_SIZE / 4)));
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const p = { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t, z: from.z + (to.z - from.z) * t };
+    if (parts.some(part => insideBox(p, part))) return false;
+  }
+  return true;
+}
+
+// Drops every waypoint the path can skip in a straight, clear line.
+function smooth(points) {
+  if (points.length <= 2) return points;
+  const out = [points[0]];
+  let anchor = points[0];
+  for (let i = 2; i < points.length; i++) {
+    if (!segmentClear(anchor, points[i])) {
+      anchor = points[i - 1];
+      out.push(anchor);
+    }
+  }
+  out.push(points[points.length - 1]);
+  return out;
+}
+
+function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += calculateDistance(points[i - 1], points[i]);
+  }
+  return length;
+}
+
+// Exact cost of the cheapest 26-neighbour walk over an empty grid: the
+// smallest offset is covered by 3D diagonals, the rest of the middle one by
+// 2D diagonals and what remains by straight steps. Unlike the straight-line
+// distance it never underestimates by much, so open water expands few voxels.
+const SQRT2 = Math.SQRT2;
+const SQRT3 = Math.sqrt(3);
+
+function octileDistance(dx, dy, dz) {
+  const [a, b, c] = [Math.abs(dx), Math.abs(dy), Math.abs(dz)].sort((p, q) => q - p);
+  return SQRT3 * c + SQRT2 * (b - c) + (a - b);
+}
+
+// Finds a collision-free path from `from` to `to`. Returns
+// { found: true, waypoints, length, expanded } with waypoints starting at
+// `from`, or { found: false, reason } where reason is 'goal_blocked',
+// 'no_path' when every route is blocked, or 'search_limit' when the search
+// gave up after maxExpansions voxels without settling either way. A start or
+// goal inside a structure is moved to the nearest free voxel, so agents can
+// swim out of and up to structures; the start only moves to a voxel the agent
+// can reach in a straight line, never to one across a wall.
+function findPath(from, to, { maxExpansions = DEFAULT_MAX_EXPANSIONS } = {}) {
+  const start = nearestFree(voxelOf(from), v => escapeClear(from, centerOf(v.x, v.y, v.z))) || voxelOf(from);
+  const goal = nearestFree(voxelOf(to));
+  if (!goal) {
+    return { found: false, reason: 'goal_blocked' };
+  }
+  const goalIsExact = !isBlocked(to);
+  const end = goalIsExact ? { x: to.x, y: to.y, z: to.z } : centerOf(goal.x, goal.y, goal.z);
+
+  if (segmentClear(from, end)) {
+    return { found: true, waypoints: [from, end], length: calculateDistance(from, end), expanded: 0 };
+  }
+
+  allocate();
+  searchId++;
+  const startIndex = indexOf(start.x, start.y, start.z);
+  const goalIndex = indexOf(goal.x, goal.y, goal.z);
+  const heuristic = (x, y, z) => octileDistance(x - goal.x, y - goal.y, z - goal.z);
+
+  const open = createHeap();
+  gScore[startIndex] = 0;
+  cameFrom[startIndex] = -1;
+  seen[startIndex] = searchId;
+  open.push(startIndex, heuristic(start.x, start.y, start.z));
+
+  let expanded = 0;
+  while (open.size > 0) {
+    const current = open.pop();
+    if (closed[current] === searchId) continue;
+    closed[current] = searchId;
+
+    if (current === goalIndex) {
+      const voxels = [];
+      for (let n = current; n !== -1; n = cameFrom[n]) voxels.push(n);
+      voxels.reverse();
+      const points = voxels.map(n => {
+        const x = n % DIMS.x;
+        const y = Math.floor(n / DIMS.x) % DIMS.y;
+        const z = Math.floor(n / (DIMS.x * DIMS.y));
+        return centerOf(x, y, z);
+      });
+      points[0] = { x: from.x, y: from.y, z: from.z };
+      points[points.length - 1] = end;
+      const waypoints = smooth(points);
+      return { found: true, waypoints, length: pathLength(waypoints), expanded };
+    }
+
+    if (++expanded > maxExpansions) {
+      return { found: false, reason: 'search_limit', expanded };
+    }
+
+    const cx = current % DIMS.x;
+    const cy = Math.floor(current / DIMS.x) % DIMS.y;
+    const cz = Math.floor(current / (DIMS.x * DIMS.y));
+    for (const n of NEIGHBOURS) {
+      const x = cx + n.dx;
+      const y = cy + n.dy;
+      const z = cz + n.dz;
+      if (x < 0 || y < 0 || z < 0 || x >= DIMS.x || y >= DIMS.y || z >= DIMS.z) continue;
+      const next = indexOf(x, y, z);
+      if (blocked[next] || closed[next] === searchId) continue;
+      if (n.corners.some(([ox, oy, oz]) => blocked[indexOf(cx + ox, cy + oy, cz + oz)])) continue;
+
+      const g = gScore[current] + n.cost;
+      if (seen[next] === searchId && g >= gScore[next]) continue;
+      seen[next] = searchId;
+      gScore[next] = g;
+      cameFrom[next] = current;
+      open.push(next, g + heuristic(x, y, z));
+    }
+  }
+
+  return { found: false, reason: 'no_path', expanded };
+}
+
+function getGridInfo() {
+  return {
+    voxel_size: VOXEL_SIZE,
+    agent_radius: AGENT_RADIUS,
+    dimensions: DIMS,
+    structures: footprints.size,
+  };
+}
+
+module.exports = {
+  findPath,
+  isBlocked,
+  segmentClear,
+  getGridInfo,
+  VOXEL_SIZE,
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('./database');
+const spatial = require('./spatial');
+const { logger, calculateDistance, STRUCTURE_TYPES, STRUCTURE_MATERIALS } = require('./utils');
+
+const QUESTS_PER_DAY = 3;
+
+// Each template builds one quest. goal.event names the action that advances
+// it; the other goal fields narrow which actions count. distinct quests count
+// each target only once.
+const QUEST_TEMPLATES = [
+  ...Object.keys(spatial.SPAWN_ZONES).map(zone => ({
+    key: `visit:${zone}`,
+    title: `Visit the ${zone.replace('_', ' ')}`,
+    goal: { event: 'visit', zone, cell: spatial.cellForPosition(spatial.SPAWN_ZONES[zone]) },
+    target: 1,
+    reward: 15,
+  })),
+  { key: 'build:wall:stone', title: 'Build two stone walls', goal: { event: 'build', type: 'wall', material: 'stone' }, target: 2, reward: 30 },
+  { key: 'build:pillar:coral', title: 'Build a coral pillar', goal: { event: 'build', type: 'pillar', material: 'coral' }, target: 1, reward: 15 },
+  { key: 'build:any:kelp', title: 'Build three things out of kelp', goal: { event: 'build', material: 'kelp' }, target: 3, reward: 30 },
+  { key: 'interact:distinct', title: 'Talk to three different agents', goal: { event: 'interact', distinct: true }, target: 3, reward: 25 },
+  { key: 'speak', title: 'Speak five times', goal: { event: 'speak' }, target: 5, reward: 10 },
+  { key: 'gesture', title: 'Make five gestures', goal: { event: 'gesture' }, target: 5, reward: 10 },
+  { key: 'explore', title: 'Discover three new cells', goal: { event: 'explore' }, target: 3, reward: 25 },
+];
+
+const BOUNTY_CONDITIONS = ['build', 'visit', 'interact'];
+const BOUNTY_MAX_RADIUS = 100;
+
+// Picks today's templates from a hash of agent and date so every caller
+// generates the same set.
+function pickDailyTemplates(agentId, date) {
+  const ranked = QUEST_TEMPLATES.map(t => ({
+    template: t,
+    rank: crypto.createHash('sha256').update(`${agentId}:${date}:${t.key}`).digest('hex'),
+  }));
+  ranked.sort((a, b) => a.rank.localeCompare(b.rank));
+
+  // At most one quest per event type keeps the day varied.
+  const picked = [];
+  for (const { template } of ranked) {
+    if (picked.some(p => p.goal.event === template.goal.event)) continue;
+    picked.push(template);
+    if (picked.length === QUESTS_PER_DAY) break;
+  }
+  return picked;
+}
+
+async function getDailyQuests(agentId) {
+  const quests = await db.getDailyQuests(agentId);
+  if (quests.length > 0) return quests;
+  const today = new Date().toISOString().slice(0, 10);
+  return db.issueDailyQuests(agentId, pickDailyTemplates(agentId, today));
+}
+
+function questMatches(goal, data) {
+  switch (goal.event) {
+    case 'visit':
+      return data.cell && data.cell.x === goal.cell.x && data.cell.z === goal.cell.z;
+    case 'build':
+      return (!goal.type || goal.type === data.type) && (!goal.material || goal.material === data.material);
+    default:
+      return true;
+  }
+}
+
+function formatQuest(quest) {
+  return {
+    quest_id: quest.id,
+    title: quest.title,
+    event: quest.goal.event,
+    progress: quest.progress,
+    target: quest.target,
+    reward: parseInt(quest.reward, 10),
+    status: quest.status,
+    completed_at: quest.completed_at,
+  };
+}
+
+// Called after an action succeeds. Advances every matching quest of today and
+// pays completed ones. Progress is best-effort: it never fails the action.
+// data.target_id makes distinct quests count each target once.
+async function recordProgress(agentId, event, data, io) {
+  try {
+    const quests = await getDailyQuests(agentId);
+    for (const quest of quests) {
+      if (quest.status !== 'active' || quest.goal.event !== event || !questMatches(quest.goal, data)) continue;
+      if (quest.goal.distinct && (!data.target_id || data.target_id === agentId)) continue;
+
+      const seenKey = quest.goal.distinct ? data.target_id : null;
+      const advanced = await db.advanceQuest(quest.id, seenKey);
+      if (!advanced || !io) continue;
+
+      io.to(`agent:${agentId}`).emit(advanced.completed ? 'quest:completed' : 'quest:progress', formatQuest(advanced));
+      if (advanced.completed) {
+        await db.logInteraction(agentId, 'quest_completed', {
+          quest_id: advanced.id,
+          title: advanced.title,
+          reward: parseInt(advanced.reward, 10),
+        });
+      }
+    }
+  } catch (err) {
+    logger.error('Quest progress failed', { error: err.message, agent_id: agentId, event });
+  }
+}
+
+// Visit and explore progress for a move from `from`, given the result of
+// spatial.moveAgent. Used for agent-sent moves and server-driven navigation.
+function recordMoveProgress(agentId, from, result, io) {
+  const fromCell = spatial.cellForPosition(from);
+  const toCell = spatial.cellForPosition(result.new_position);
+  if (fromCell.x !== toCell.x || fromCell.z !== toCell.z) {
+    recordProgress(agentId, 'visit', { cell: toCell }, io);
+  }
+  if (result.discovered) {
+    recordProgress(agentId, 'explore', {}, io);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// BOUNTIES
+// ═══════════════════════════════════════════════════════════════
+
+function isPosition(p) {
+  return p && typeof p.x === 'number' && typeof p.y === 'number' && typeof p.z === 'number';
+}
+
+// Checks a bounty condition from the request body and returns the normalized
+// condition, or { error }. Conditions are limited to what the server can
+// verify on its own when the bounty is claimed:
+//   build    - a structure built by the claimant after the bounty was posted,
+//              optionally of a type/material and within radius of a position
+//   visit    - the claimant is within radius of a position when claiming
+//   interact - the claimant has interacted with the poster since posting
+function parseBountyCondition(condition) {
+  if (!condition || !BOUNTY_CONDITIONS.includes(condition.type)) {
+    return { error: `condition.type must be one of: ${BOUNTY_CONDITIONS.join(', ')}` };
+  }
+  if (condition.type === 'interact') {
+    return { type: 'interact' };
+  }
+
+  const radius = condition.radius === undefined ? 20 : Number(condition.radius);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > BOUNTY_MAX_RADIUS) {
+    return { error: `condition.radius must be between 1 and ${BOUNTY_MAX_RADIUS}` };
+  }
+
+  if (condition.type === 'visit') {
+    if (!isPosition(condition.position)) {
+      return { error: 'condition.position {x, y, z} is required for visit bounties' };
+    }
+    return { type: 'visit', position: condition.position, radius };
+  }
+
+  if (condition.structure_type && !STRUCTURE_TYPES.includes(condition.structure_type)) {
+    return { error: `Invalid condition.structure_type. Allowed: ${STRUCTURE_TYPES.join(', ')}` };
+  }
+  if (condition.material && !STRUCTURE_MATERIALS.includes(condition.material)) {
+    return { error: `Invalid condition.material. Allowed: ${STRUCTURE_MATERIALS.join(', ')}` };
+  }
+  if (condition.position !== undefined && !isPosition(condition.position)) {
+    return { error: 'condition.position must be {x, y, z}' };
+  }
+  return {
+    type: 'build',
+    structure_type: condition.structure_type || null,
+    material: condition.material || null,
+    position: condition.position || null,
+    radius,
+  };
+}
+
+// Verifies the claimant satisfies the bounty. Returns { proof } on success or
+// { error } explaining what is missing.
+async function verifyBountyClaim(bounty, claimant, body) {
+  const condition = bounty.condition;
+  const here = { x: claimant.x, y: claimant.y, z: claimant.z };
+
+  if (condition.type === 'interact') {
+    const done = await db.hasInteractedSince(claimant.id, bounty.poster_id, bounty.created_at);
+    return done ? { proof: { interacted_with: bounty.poster_name } } : { error: `Interact with ${bounty.poster_name} first` };
+  }
+
+  if (condition.type === 'visit') {
+    if (!claimant.in_habitat) return { error: 'You must be in the habitat to claim a visit bounty' };
+    const distance = calculateDistance(here, condition.position);
+    return distance <= condition.radius
+      ? { proof: { position: here } }
+      : { error: `You are ${Math.round(distance)} units away; get within ${condition.radius}` };
+  }
+
+  const structure = /^[0-9a-f-]{36}$/i.test(body.structure_id || '') ? await db.getStructureById(body.structure_id) : null;
+  if (!structure || structure.builder_id !== claimant.id) {
+    return { error: 'structure_id of a structure you built is required' };
+  }
+  if (await db.isStructureUsedForBounty(structure.id)) {
+    return { error: 'That structure has already been used to claim a bounty' };
+  }
+  if (new Date(structure.created_at) <= new Date(bounty.created_at)) {
+    return { error: 'The structure must be built after the bounty was posted' };
+  }
+  if (condition.structure_type && structure.type !== condition.structure_type) {
+    return { error: `The structure must be a ${condition.structure_type}` };
+  }
+  if (condition.material && structure.material !== condition.material) {
+    return { error: `The structure must be made of ${condition.material}` };
+  }
+  if (condition.position) {
+    const distance = calculateDistance(
+      { x: structure.position_x, y: structure.position_y, z: structure.position_z },
+      condition.position
+    );
+    if (distance > condition.radius) {
+      return { error: `The structure is ${Math.round(distance)} units from the target; it must be within ${condition.radius}` };
+    }
+  }
+  return { proof: { structure_id: structure.id } };
+}
+
+module.exports = {
+  getDailyQuests,
+  recordProgress,
+  recordMoveProgress,
+  formatQuest,
+  parseBountyCondition,
+  verifyBountyClaim,
+  QUESTS_PER_DAY,
+};
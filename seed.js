@@ -21,6 +21,7 @@ const db = require('./database');
 const {
   logger,
   generateApiKeySync,
+  getApiKeyId,
   generateClaimToken,
   generateVerificationCode,
   calculateDistance,
@@ -670,6 +671,7 @@ async function createSeededAgent(profile) {
     profile.name,
     profile.description,
     apiKeyHash,
+    getApiKeyId(apiKey),
     claimToken,
     verificationCode,
     profile.openclaw_id
@@ -732,9 +734,14 @@ async function simulateEnterHabitat(agent) {
   const deposits = await db.getAgentDeposits(agent.id);
   if (deposits.length === 0) {
     const fakeTxHash = '0x' + crypto.randomBytes(32).toString('hex');
-    await db.recordDeposit(agent.id, fakeTxHash, '0.1', '0x' + crypto.randomBytes(20).toString('hex'), 1000 + Math.floor(Math.random() * 10000));
-    await db.initBalance(agent.id);
-    await db.earnShells(agent.id, 50, 'first_entry_bonus');
+    const fakeWallet = '0x' + crypto.randomBytes(20).toString('hex');
+    await db.setPaymentWallet(agent.id, fakeWallet);
+    await db.recordDeposit(agent.id, fakeTxHash, '0.1', fakeWallet, 1000 + Math.floor(Math.random() * 10000), 'payment_wallet');
+    await db.creditDeposit(fakeTxHash, {
+      entry: { shells: 0, details: {} },
+      purchase: { shells: 0, details: {} },
+      entryBonus: 50,
+    });
   }
 
   await db.logInteraction(agent.id, 'enter_habitat', {
@@ -875,7 +882,7 @@ async function simulateBuild(agent, nearPos) {
     position: buildPos,
   });
 
-  await db.earnShells(agent.id, 10, 'build');
+  await db.earnShells(agent.id, 10, 'build', `structure:${structure.id}`);
 
   return structure;
 }
@@ -1053,6 +1060,7 @@ async function simulateConversationChain(agentA, agentB, chain) {
 async function cleanDatabase() {
   logger.info('Cleaning existing data...');
   await db.pool.query('DELETE FROM interactions');
+  await db.pool.query('DELETE FROM ledger_entries');
   await db.pool.query('DELETE FROM structures');
   await db.pool.query('DELETE FROM positions');
   await db.pool.query('DELETE FROM agents');
@@ -1679,7 +1687,7 @@ async function seed() {
   logger.info('    + exit_habitat + re-enter');
   logger.info('    + dynamic_turnover (staggered exit times, mixed active/offline)');
   logger.info('    + mon_deposit (simulated MON payment for entry)');
-  logger.info('    + earn_shells (building, speaking, gesturing, interacting)');
+  logger.info('    + ledger rewards (building, speaking, gesturing, interacting)');
   logger.info('    + trade_shells (14 inter-agent trades)');
   logger.info('    + all 20 animations used');
   logger.info('    + chronicle populated');
@@ -17,12 +17,18 @@ const spatial = require('./spatial');
 const voice = require('./voice');
 const horizon = require('./horizon');
 const monad = require('./monad');
+const { idempotent } = require('./idempotency');
+const quests = require('./quests');
+const interest = require('./interest');
+const navigation = require('./navigation');
+const pathfinding = require('./pathfinding');
 const {
   logger, formatError, formatSuccess, validatePosition, validateName,
   validateStructureType, validateMaterial, validateAnimation, validateGesture,
-  validateVoiceStyle, apiLimiter, movementLimiter, speechLimiter, buildLimiter,
+  validateVoiceStyle, apiLimiter, movementLimiter, speechLimiter, buildLimiter, socialLimiter, pathLimiter,
   registrationLimiter, claimLimiter, STRUCTURE_TYPES, STRUCTURE_MATERIALS,
-  VOICE_STYLES, ALLOWED_ANIMATIONS, ALLOWED_GESTURES, ECONOMY,
+  VOICE_STYLES, ALLOWED_ANIMATIONS, ALLOWED_GESTURES, ECONOMY, API_KEY_SCOPES,
+  BUILD_COSTS, buildCost, calculateDistance,
 } = require('./utils');
 
 const app = express();
@@ -87,13 +93,35 @@ app.post('/api/v1/habitat/register', registrationLimiter, async (req, res) => {
   }
 });
 
+app.post('/api/v1/habitat/claim/wallet-challenge', claimLimiter, async (req, res) => {
+  try {
+    const { claim_token, address } = req.body;
+    if (!claim_token || !address) {
+      return res.status(400).json(formatError('claim_token and address are required'));
+    }
+    const result = await auth.createWalletClaimChallenge(claim_token, address);
+    res.json(formatSuccess({
+      ...result,
+      hint: 'Sign this exact message with personal_sign, then POST /api/v1/habitat/claim with claim_token and signature',
+    }));
+  } catch (err) {
+    logger.error('Wallet challenge failed', { error: err.message });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
 app.post('/api/v1/habitat/claim', claimLimiter, async (req, res) => {
   try {
-    const { claim_token, tweet_url } = req.body;
-    if (!claim_token || !tweet_url) {
-      return res.status(400).json(formatError('claim_token and tweet_url are required'));
+    const { claim_token, tweet_url, signature } = req.body;
+    if (!claim_token || (!tweet_url && !signature)) {
+      return res.status(400).json(formatError(
+        'claim_token and either tweet_url or signature are required',
+        'Use tweet_url for Twitter verification or signature for a signed wallet challenge'
+      ));
     }
-    const result = await auth.verifyTwitterClaim(claim_token, tweet_url);
+    const result = signature
+      ? await auth.verifyWalletClaim(claim_token, signature)
+      : await auth.verifyTwitterClaim(claim_token, tweet_url);
     res.json(formatSuccess(result));
   } catch (err) {
     logger.error('Claim verification failed', { error: err.message });
@@ -105,9 +133,19 @@ app.post('/api/v1/habitat/claim', claimLimiter, async (req, res) => {
 // AUTHENTICATED ROUTES
 // ═══════════════════════════════════════════════════════════════
 
-app.get('/api/v1/habitat/status', auth.authenticateAgent, async (req, res) => {
+// Response fields for an activity reward; reward_limited_by only appears when
+// an anti-farming rule reduced the payout.
+function rewardFields(reward) {
+  return {
+    shells_earned: reward.earned,
+    shells: parseInt(reward.shells, 10),
+    ...(reward.limited_by && { reward_limited_by: reward.limited_by }),
+  };
+}
+
+app.get('/api/v1/habitat/status', auth.requireScope('world:read'), async (req, res) => {
   try {
-    const agent = req.agent;
+    const agent = await auth.loadAgent(req);
     res.json(formatSuccess({
       status: agent.in_habitat ? 'in_habitat' : 'outside',
       in_habitat: agent.in_habitat || false,
@@ -121,9 +159,16 @@ app.get('/api/v1/habitat/status', auth.authenticateAgent, async (req, res) => {
   }
 });
 
-app.post('/api/v1/habitat/enter', auth.authenticateAgent, async (req, res) => {
+// An explicitly bound payment wallet wins over the wallet that claimed the agent.
+function getWalletBinding(agent) {
+  if (agent.payment_wallet) return { address: agent.payment_wallet, method: 'payment_wallet' };
+  if (agent.owner_wallet) return { address: agent.owner_wallet, method: 'owner_claim' };
+  return null;
+}
+
+app.post('/api/v1/habitat/enter', auth.requireScope('move'), idempotent, async (req, res) => {
   try {
-    const { preferred_spawn, tx_hash } = req.body;
+    const { preferred_spawn, tx_hash, intent_id } = req.body;
 
     // Check if agent already in habitat (re-entry is free)
     const currentAgent = await db.getAgentById(req.agent.id);
@@ -131,35 +176,68 @@ app.post('/api/v1/habitat/enter', auth.authenticateAgent, async (req, res) => {
       return res.status(400).json(formatError('Agent is already in the habitat'));
     }
 
-    // Check if agent has a previous deposit (returning agents don't pay again)
-    const prevDeposits = await db.getAgentDeposits(req.agent.id);
-    const hasDeposit = prevDeposits.length > 0;
+    // Returning agents whose entry fee was credited don't pay again
+    const hasDeposit = await db.hasEntryDeposit(req.agent.id);
+    let shellsPurchased = 0;
 
-    if (!hasDeposit) {
+    if (!hasDeposit && intent_id) {
+      // Payment intents credit the deposit themselves once confirmed
+      const intent = /^[0-9a-f-]{36}$/i.test(intent_id) ? await db.getPaymentIntent(intent_id, req.agent.id) : null;
+      if (!intent) {
+        return res.status(404).json(formatError('Payment intent not found'));
+      }
+      const refreshed = await monad.refreshIntent(intent);
+      if (refreshed.status !== 'confirmed') {
+        return res.status(402).json(formatError(
+          `Payment intent is ${refreshed.status}`,
+          'Poll GET /api/v1/habitat/payments/intent/:id until it is confirmed'
+        ));
+      }
+    } else if (!hasDeposit) {
       // First entry requires MON payment
       if (!tx_hash) {
         return res.status(402).json(formatError(
-          `MON payment required for first entry. Send ${monad.getEntryFee()} MON to ${monad.getWorldWallet()} and include the tx_hash.`,
+          `MON payment required for first entry. Create a payment intent with POST /api/v1/habitat/payments/intent, or send ${monad.getEntryFee()} MON to ${monad.getWorldWallet()} from your bound wallet and include the tx_hash.`,
           `Entry fee: ${monad.getEntryFee()} MON`
         ));
       }
 
-      // Check if tx already used
-      const used = await db.isTxHashUsed(tx_hash);
-      if (used) {
+      // Payments must come from the wallet bound to this agent
+      const binding = getWalletBinding(currentAgent);
+      if (!binding) {
+        return res.status(400).json(formatError(
+          'No wallet bound to this agent',
+          'Bind the paying wallet first: POST /api/v1/habitat/wallet/challenge, then POST /api/v1/habitat/wallet with the signature'
+        ));
+      }
+
+      // Check if tx already used (the chain watcher may have recorded it without an agent)
+      const existing = await db.getDepositByTxHash(tx_hash);
+      if (existing && (existing.agent_id || existing.status !== 'confirmed')) {
         return res.status(409).json(formatError('This transaction has already been used for entry'));
       }
 
       // Verify payment on Monad chain
-      const verification = await monad.verifyEntryPayment(tx_hash);
-      await db.recordDeposit(req.agent.id, tx_hash, verification.amount, verification.from, verification.block);
-      await db.initBalance(req.agent.id);
-      await db.earnShells(req.agent.id, ECONOMY.ENTRY_BONUS, 'first_entry_bonus');
+      const verification = await monad.verifyEntryPayment(tx_hash, binding.address);
+      let deposit;
+      if (existing) {
+        deposit = await db.attributeDeposit(tx_hash, req.agent.id, binding.method);
+        if (!deposit) {
+          return res.status(409).json(formatError('This transaction has already been used for entry'));
+        }
+      } else {
+        deposit = await db.recordDeposit(
+          req.agent.id, tx_hash, verification.amount, verification.from, verification.block, binding.method
+        );
+      }
+      const credited = await monad.creditDeposit(deposit);
+      shellsPurchased = credited ? Number(credited.shells_credited) : 0;
 
       logger.info('MON entry payment verified', {
         agent: req.agent.name,
         amount: verification.amount,
         tx: tx_hash,
+        wallet: binding.address,
         dev_mode: verification.dev_mode || false,
       });
     }
@@ -172,17 +250,20 @@ app.post('/api/v1/habitat/enter', auth.authenticateAgent, async (req, res) => {
       economy: {
         shells: parseInt(balance.shells, 10),
         entry_bonus: !hasDeposit ? ECONOMY.ENTRY_BONUS : 0,
+        shells_purchased: shellsPurchased,
         first_entry: !hasDeposit,
       },
     }));
   } catch (err) {
     logger.error('Enter habitat failed', { error: err.message, agent: req.agent.name });
-    const status = err.message.includes('payment') || err.message.includes('MON') ? 402 : 400;
+    let status = 400;
+    if (err.message.includes('bound wallet')) status = 403;
+    else if (err.message.includes('payment') || err.message.includes('MON')) status = 402;
     res.status(status).json(formatError(err.message));
   }
 });
 
-app.post('/api/v1/habitat/exit', auth.authenticateAgent, async (req, res) => {
+app.post('/api/v1/habitat/exit', auth.requireScope('move'), async (req, res) => {
   try {
     const result = await spatial.exitHabitat(req.agent.id, io);
     res.json(formatSuccess(result));
@@ -192,13 +273,18 @@ app.post('/api/v1/habitat/exit', auth.authenticateAgent, async (req, res) => {
   }
 });
 
-app.post('/api/v1/habitat/move', auth.authenticateAgent, movementLimiter, async (req, res) => {
+app.post('/api/v1/habitat/move', auth.requireScope('move'), movementLimiter, async (req, res) => {
   try {
     const { position, velocity, animation } = req.body;
     if (!position || typeof position.x !== 'number' || typeof position.y !== 'number' || typeof position.z !== 'number') {
       return res.status(400).json(formatError('Valid position {x, y, z} is required'));
     }
+    // Moving by hand takes over from any server-side route.
+    await navigation.cancelNavigation(req.agent.id);
+    const agent = await auth.loadAgent(req);
     const result = await spatial.moveAgent(req.agent.id, position, velocity, animation, io);
+
+    quests.recordMoveProgress(req.agent.id, agent, result, io);
     res.json(formatSuccess(result));
   } catch (err) {
     logger.error('Move failed', { error: err.message, agent: req.agent.name });
@@ -206,10 +292,11 @@ app.post('/api/v1/habitat/move', auth.authenticateAgent, movementLimiter, async
   }
 });
 
-app.get('/api/v1/habitat/nearby', auth.authenticateAgent, async (req, res) => {
+app.get('/api/v1/habitat/nearby', auth.requireScope('world:read'), async (req, res) => {
   try {
     const radius = parseInt(req.query.radius, 10) || 50;
-    const result = await spatial.getNearbyEntities(req.agent.id, radius);
+    const nearest = parseInt(req.query.nearest, 10) || null;
+    const result = await spatial.getNearbyEntities(req.agent.id, radius, nearest);
     res.json(formatSuccess(result));
   } catch (err) {
     logger.error('Nearby query failed', { error: err.message, agent: req.agent.name });
@@ -217,22 +304,85 @@ app.get('/api/v1/habitat/nearby', auth.authenticateAgent, async (req, res) => {
   }
 });
 
-app.post('/api/v1/habitat/speak', auth.authenticateAgent, speechLimiter, async (req, res) => {
+// Reads "x,y,z" into a position, or returns { error }.
+function parsePointParam(value, name) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 3) {
+    return { error: `${name} must be x,y,z` };
+  }
+  const [x, y, z] = parts;
+  const check = validatePosition(x, y, z);
+  return check.valid ? { x, y, z } : { error: `${name}: ${check.error}` };
+}
+
+app.get('/api/v1/habitat/path', auth.requireScope('world:read'), pathLimiter, async (req, res) => {
+  try {
+    if (req.query.to === undefined) {
+      return res.status(400).json(formatError('to=x,y,z is required'));
+    }
+    const to = parsePointParam(req.query.to, 'to');
+    if (to.error) {
+      return res.status(400).json(formatError(to.error));
+    }
+
+    let from;
+    if (req.query.from !== undefined) {
+      from = parsePointParam(req.query.from, 'from');
+      if (from.error) {
+        return res.status(400).json(formatError(from.error));
+      }
+    } else {
+      const agent = await auth.loadAgent(req);
+      if (!agent.in_habitat) {
+        return res.status(400).json(formatError('Enter the habitat or pass from=x,y,z'));
+      }
+      from = { x: agent.x, y: agent.y, z: agent.z };
+    }
+
+    const result = pathfinding.findPath(from, to);
+    if (result.reason === 'search_limit') {
+      return res.status(422).json(formatError(
+        'The route is too long or winding to plan',
+        'Plan to a closer point first, or pass from=x,y,z for a shorter leg'
+      ));
+    }
+    if (!result.found) {
+      return res.status(422).json(formatError(
+        result.reason === 'goal_blocked' ? 'The destination is inside a structure' : 'No path to the destination',
+        'Structures block every route; try another destination'
+      ));
+    }
+    res.json(formatSuccess({
+      from,
+      to,
+      waypoints: result.waypoints,
+      length: Math.round(result.length * 10) / 10,
+      straight_distance: Math.round(calculateDistance(from, to) * 10) / 10,
+      grid: pathfinding.getGridInfo(),
+    }));
+  } catch (err) {
+    logger.error('Path query failed', { error: err.message });
+    res.status(500).json(formatError('Failed to find path'));
+  }
+});
+
+app.post('/api/v1/habitat/speak', auth.requireScope('speak'), speechLimiter, async (req, res) => {
   try {
     const { text, voice_style, volume } = req.body;
     if (!text || typeof text !== 'string') {
       return res.status(400).json(formatError('Text is required'));
     }
     const result = await voice.speakInHabitat(req.agent.id, text, voice_style, volume, io);
-    const earned = await db.earnShells(req.agent.id, ECONOMY.SPEAK_REWARD, 'speak');
-    res.json(formatSuccess({ ...result, shells_earned: ECONOMY.SPEAK_REWARD, shells: parseInt(earned.shells, 10) }));
+    const reward = await db.earnActivityReward(req.agent.id, ECONOMY.SPEAK_REWARD, 'speak');
+    quests.recordProgress(req.agent.id, 'speak', {}, io);
+    res.json(formatSuccess({ ...result, ...rewardFields(reward) }));
   } catch (err) {
     logger.error('Speak failed', { error: err.message, agent: req.agent.name });
     res.status(400).json(formatError(err.message));
   }
 });
 
-app.post('/api/v1/habitat/gesture', auth.authenticateAgent, async (req, res) => {
+app.post('/api/v1/habitat/gesture', auth.requireScope('social'), socialLimiter, async (req, res) => {
   try {
     const { gesture } = req.body;
     if (!gesture || !validateGesture(gesture)) {
@@ -241,30 +391,32 @@ app.post('/api/v1/habitat/gesture', auth.authenticateAgent, async (req, res) =>
       ));
     }
 
-    const agent = req.agent;
+    const agent = await auth.loadAgent(req);
     if (!agent.in_habitat) {
       return res.status(400).json(formatError('Agent must be in the habitat'));
     }
 
-    io.emit('agent:gesture', {
+    const position = { x: agent.x, y: agent.y, z: agent.z };
+    interest.publish(io, 'agent:gesture', {
       agent_id: agent.id,
       name: agent.name,
       gesture,
-      position: { x: agent.x, y: agent.y, z: agent.z },
+      position,
       timestamp: new Date().toISOString(),
-    });
+    }, { at: [position], agents: [agent.id] });
 
     await db.logInteraction(agent.id, 'gesture', { gesture });
-    const earned = await db.earnShells(agent.id, ECONOMY.GESTURE_REWARD, 'gesture');
+    const reward = await db.earnActivityReward(agent.id, ECONOMY.GESTURE_REWARD, 'gesture');
+    quests.recordProgress(agent.id, 'gesture', {}, io);
 
-    res.json(formatSuccess({ gesture, performed: true, shells_earned: ECONOMY.GESTURE_REWARD, shells: parseInt(earned.shells, 10) }));
+    res.json(formatSuccess({ gesture, performed: true, ...rewardFields(reward) }));
   } catch (err) {
     logger.error('Gesture failed', { error: err.message });
     res.status(400).json(formatError(err.message));
   }
 });
 
-app.post('/api/v1/habitat/build', auth.authenticateAgent, buildLimiter, async (req, res) => {
+app.post('/api/v1/habitat/build', auth.requireScope('build'), buildLimiter, idempotent, async (req, res) => {
   try {
     const { type, position, size, material, name } = req.body;
 
@@ -312,7 +464,8 @@ app.post('/api/v1/habitat/build', auth.authenticateAgent, buildLimiter, async (r
       size_height: structureSize.height,
     };
 
-    const structure = await db.createStructure(req.agent.id, structureData);
+    const cost = buildCost(type, material, structureSize);
+    const structure = await db.createStructure(req.agent.id, structureData, cost);
 
     let horizonResult = null;
     try {
@@ -324,16 +477,17 @@ app.post('/api/v1/habitat/build', auth.authenticateAgent, buildLimiter, async (r
       logger.warn('Horizon build failed, local only', { error: err.message });
     }
 
-    io.emit('structure:build', {
+    const structurePosition = { x: structure.position_x, y: structure.position_y, z: structure.position_z };
+    interest.publish(io, 'structure:build', {
       structure_id: structure.id,
       agent_id: req.agent.id,
       builder: req.agent.name,
       name: structure.name,
       type: structure.type,
       material: structure.material,
-      position: { x: structure.position_x, y: structure.position_y, z: structure.position_z },
+      position: structurePosition,
       size: { width: structure.size_width, length: structure.size_length, height: structure.size_height },
-    });
+    }, { at: [structurePosition], agents: [req.agent.id] });
 
     await db.logInteraction(req.agent.id, 'build', {
       structure_id: structure.id,
@@ -341,14 +495,15 @@ app.post('/api/v1/habitat/build', auth.authenticateAgent, buildLimiter, async (r
       position,
     });
 
-    const earned = await db.earnShells(req.agent.id, ECONOMY.BUILD_REWARD, 'build');
+    const reward = await db.earnActivityReward(req.agent.id, ECONOMY.BUILD_REWARD, 'build', `structure:${structure.id}`);
+    quests.recordProgress(req.agent.id, 'build', { type, material }, io);
 
     res.status(201).json(formatSuccess({
       structure_id: structure.id,
       structure,
       horizon_synced: !!horizonResult?.synced,
-      shells_earned: ECONOMY.BUILD_REWARD,
-      shells: parseInt(earned.shells, 10),
+      shells_spent: cost,
+      ...rewardFields(reward),
     }));
   } catch (err) {
     logger.error('Build failed', { error: err.message, agent: req.agent.name });
@@ -356,20 +511,31 @@ app.post('/api/v1/habitat/build', auth.authenticateAgent, buildLimiter, async (r
   }
 });
 
-app.patch('/api/v1/habitat/structures/:id', auth.authenticateAgent, async (req, res) => {
+app.patch('/api/v1/habitat/structures/:id', auth.requireScope('build'), async (req, res) => {
   try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json(formatError('Structure not found or not owned by you'));
+    }
     const structureId = req.params.id;
     const updates = req.body;
 
-    if (updates.type && !validateStructureType(updates.type)) {
+    if (updates.type !== undefined && !validateStructureType(updates.type)) {
       return res.status(400).json(formatError(`Invalid type. Allowed: ${STRUCTURE_TYPES.join(', ')}`));
     }
-    if (updates.material && !validateMaterial(updates.material)) {
+    if (updates.material !== undefined && !validateMaterial(updates.material)) {
       return res.status(400).json(formatError(`Invalid material. Allowed: ${STRUCTURE_MATERIALS.join(', ')}`));
     }
+    for (const field of ['size_width', 'size_length', 'size_height']) {
+      if (updates[field] !== undefined && (typeof updates[field] !== 'number' || updates[field] < 1 || updates[field] > 50)) {
+        return res.status(400).json(formatError(`${field} must be a number between 1 and 50`));
+      }
+    }
+
+    const existing = await db.getStructureById(structureId);
+    if (!existing || existing.agent_id !== req.agent.id) {
+      return res.status(404).json(formatError('Structure not found or not owned by you'));
+    }
     if (updates.position_x !== undefined || updates.position_y !== undefined || updates.position_z !== undefined) {
-      const existing = await db.getStructureById(structureId);
-      if (!existing) return res.status(404).json(formatError('Structure not found'));
       const px = updates.position_x !== undefined ? updates.position_x : existing.position_x;
       const py = updates.position_y !== undefined ? updates.position_y : existing.position_y;
       const pz = updates.position_z !== undefined ? updates.position_z : existing.position_z;
@@ -377,9 +543,15 @@ app.patch('/api/v1/habitat/structures/:id', auth.authenticateAgent, async (req,
       if (!posCheck.valid) return res.status(400).json(formatError(posCheck.error));
     }
 
-    const result = await db.updateStructure(structureId, req.agent.id, updates);
+    // Only growth is charged: the cost of the new shape minus that of the old.
+    const costOf = (st) => buildCost(st.type, st.material, {
+      width: st.size_width, length: st.size_length, height: st.size_height,
+    });
+    const extraCost = Math.max(0, costOf({ ...existing, ...updates }) - costOf(existing));
+
+    const result = await db.updateStructure(structureId, req.agent.id, updates, extraCost);
     if (!result) {
-      return res.status(404).json(formatError('Structure not found or not owned by you'));
+      return await sendStructureUnavailable(req, res);
     }
 
     try {
@@ -390,19 +562,22 @@ app.patch('/api/v1/habitat/structures/:id', auth.authenticateAgent, async (req,
       logger.warn('Horizon structure update failed', { error: err.message });
     }
 
-    res.json(formatSuccess({ structure: result }));
+    res.json(formatSuccess({ structure: result, shells_spent: extraCost }));
   } catch (err) {
     logger.error('Structure update failed', { error: err.message });
     res.status(400).json(formatError(err.message));
   }
 });
 
-app.delete('/api/v1/habitat/structures/:id', auth.authenticateAgent, async (req, res) => {
+app.delete('/api/v1/habitat/structures/:id', auth.requireScope('build'), async (req, res) => {
   try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json(formatError('Structure not found or not owned by you'));
+    }
     const structureId = req.params.id;
     const deleted = await db.deleteStructure(structureId, req.agent.id);
     if (!deleted) {
-      return res.status(404).json(formatError('Structure not found or not owned by you'));
+      return await sendStructureUnavailable(req, res);
     }
 
     try {
@@ -413,21 +588,440 @@ app.delete('/api/v1/habitat/structures/:id', auth.authenticateAgent, async (req,
       logger.warn('Horizon structure delete failed', { error: err.message });
     }
 
-    io.emit('structure:delete', {
+    interest.publish(io, 'structure:delete', {
       structure_id: structureId,
       agent_id: req.agent.id,
+    }, {
+      at: [{ x: deleted.position_x, y: deleted.position_y, z: deleted.position_z }],
+      agents: [req.agent.id],
     });
 
     await db.logInteraction(req.agent.id, 'delete_structure', { structure_id: structureId });
 
-    res.json(formatSuccess({ deleted: true, structure_id: structureId }));
+    res.json(formatSuccess({ deleted: true, structure_id: structureId, shells_refunded: deleted.refund }));
   } catch (err) {
     logger.error('Structure delete failed', { error: err.message });
     res.status(400).json(formatError(err.message));
   }
 });
 
-app.post('/api/v1/habitat/interact', auth.authenticateAgent, async (req, res) => {
+// ═══════════════════════════════════════════════════════════════
+// STRUCTURE MARKET
+// ═══════════════════════════════════════════════════════════════
+
+// Explains why an owner-only structure change matched no row. Callers have
+// already checked that :id is a UUID.
+async function sendStructureUnavailable(req, res) {
+  const auction = await db.getOpenAuctionForStructure(req.params.id);
+  if (auction && auction.seller_id === req.agent.id) {
+    return res.status(409).json(formatError(
+      'Structure is up for auction',
+      `Cancel auction ${auction.id} (only possible before the first bid) or wait for it to close`
+    ));
+  }
+  // Only modifying is refused while listed, so buyers get what they saw.
+  const structure = await db.getStructureById(req.params.id);
+  if (structure && structure.agent_id === req.agent.id && structure.sale_price !== null) {
+    return res.status(409).json(formatError(
+      'Structure is listed for sale',
+      `Take it off the market with DELETE /api/v1/habitat/structures/${structure.id}/list before modifying it`
+    ));
+  }
+  return res.status(404).json(formatError('Structure not found or not owned by you'));
+}
+
+function formatListing(structure) {
+  return {
+    structure_id: structure.id,
+    name: structure.name,
+    type: structure.type,
+    material: structure.material,
+    owner: structure.owner_name,
+    price: structure.sale_price === null ? null : parseInt(structure.sale_price, 10),
+    listed_at: structure.listed_at,
+    position: { x: structure.position_x, y: structure.position_y, z: structure.position_z },
+    size: { width: structure.size_width, length: structure.size_length, height: structure.size_height },
+  };
+}
+
+app.post('/api/v1/habitat/structures/:id/list', auth.requireScope('build'), async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json(formatError('Structure not found or not owned by you'));
+    }
+    const price = Number(req.body.price);
+    if (!Number.isSafeInteger(price) || price < ECONOMY.TRADE_MIN) {
+      return res.status(400).json(formatError(`price must be a whole number of at least ${ECONOMY.TRADE_MIN} shells`));
+    }
+    const structure = await db.setStructurePrice(req.params.id, req.agent.id, price);
+    if (!structure) {
+      return await sendStructureUnavailable(req, res);
+    }
+
+    await db.logInteraction(req.agent.id, 'structure_listed', { structure_id: structure.id, name: structure.name, price });
+    res.json(formatSuccess(formatListing({ ...structure, owner_name: req.agent.name })));
+  } catch (err) {
+    logger.error('Structure listing failed', { error: err.message });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.delete('/api/v1/habitat/structures/:id/list', auth.requireScope('build'), async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json(formatError('Structure not found or not owned by you'));
+    }
+    const structure = await db.setStructurePrice(req.params.id, req.agent.id, null);
+    if (!structure) {
+      return await sendStructureUnavailable(req, res);
+    }
+    res.json(formatSuccess(formatListing({ ...structure, owner_name: req.agent.name })));
+  } catch (err) {
+    logger.error('Structure unlisting failed', { error: err.message });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.post('/api/v1/habitat/structures/:id/transfer', auth.requireScope('build'), async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json(formatError('Structure not found or not owned by you'));
+    }
+    const { agent: targetName } = req.body;
+    if (!targetName) {
+      return res.status(400).json(formatError('agent (recipient name) is required'));
+    }
+    const target = await db.getAgentByName(targetName);
+    if (!target) {
+      return res.status(404).json(formatError('Target agent not found'));
+    }
+    if (target.id === req.agent.id) {
+      return res.status(400).json(formatError('You already own this structure'));
+    }
+
+    const structure = await db.transferStructure(req.params.id, req.agent.id, target.id);
+    if (!structure) {
+      return await sendStructureUnavailable(req, res);
+    }
+
+    io.emit('structure:sold', {
+      structure_id: structure.id,
+      name: structure.name,
+      kind: 'gift',
+      seller: req.agent.name,
+      buyer: target.name,
+      agent_id: target.id,
+      price: 0,
+    });
+    await db.logInteraction(req.agent.id, 'structure_gift', {
+      structure_id: structure.id,
+      name: structure.name,
+      target_id: target.id,
+      target_name: target.name,
+    });
+
+    res.json(formatSuccess({ structure_id: structure.id, owner: target.name }));
+  } catch (err) {
+    logger.error('Structure transfer failed', { error: err.message });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.get('/api/v1/habitat/market/structures', async (req, res) => {
+  try {
+    const { type, material, seller } = req.query;
+    if (type && !validateStructureType(type)) {
+      return res.status(400).json(formatError(`Invalid type. Allowed: ${STRUCTURE_TYPES.join(', ')}`));
+    }
+    if (material && !validateMaterial(material)) {
+      return res.status(400).json(formatError(`Invalid material. Allowed: ${STRUCTURE_MATERIALS.join(', ')}`));
+    }
+    let sellerId;
+    if (seller) {
+      const sellerAgent = await db.getAgentByName(seller);
+      if (!sellerAgent) {
+        return res.json(formatSuccess({ listings: [] }));
+      }
+      sellerId = sellerAgent.id;
+    }
+
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const listings = await db.getStructureListings({
+      type,
+      material,
+      maxPrice: parseInt(req.query.max_price, 10) || undefined,
+      sellerId,
+      limit,
+      offset,
+    });
+    res.json(formatSuccess({ listings: listings.map(formatListing), offset }));
+  } catch (err) {
+    logger.error('Market listing fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch listings'));
+  }
+});
+
+app.get('/api/v1/habitat/market/structures/:id', async (req, res) => {
+  try {
+    const structure = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await db.getStructureById(req.params.id) : null;
+    if (!structure) {
+      return res.status(404).json(formatError('Structure not found'));
+    }
+    const owner = structure.agent_id ? await db.getAgentById(structure.agent_id) : null;
+    const history = await db.getStructureTransfers(structure.id);
+    res.json(formatSuccess({
+      ...formatListing({ ...structure, owner_name: owner?.name || null }),
+      for_sale: structure.sale_price !== null,
+      history: history.map(t => ({
+        kind: t.kind,
+        from: t.from_name,
+        to: t.to_name,
+        price: parseInt(t.price, 10),
+        timestamp: t.created_at,
+      })),
+    }));
+  } catch (err) {
+    logger.error('Market structure fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch structure'));
+  }
+});
+
+app.post('/api/v1/habitat/market/structures/:id/buy', auth.requireScope('economy:trade'), idempotent, async (req, res) => {
+  try {
+    let maxPrice;
+    if (req.body.max_price !== undefined) {
+      maxPrice = Number(req.body.max_price);
+      if (!Number.isSafeInteger(maxPrice) || maxPrice < 0) {
+        return res.status(400).json(formatError('max_price must be a whole number of shells'));
+      }
+    }
+
+    const sale = /^[0-9a-f-]{36}$/i.test(req.params.id)
+      ? await db.buyStructure(req.params.id, req.agent.id, maxPrice)
+      : null;
+    if (!sale) {
+      return res.status(404).json(formatError('Structure not found or not for sale'));
+    }
+    const seller = await db.getAgentById(sale.sellerId);
+
+    io.emit('structure:sold', {
+      structure_id: sale.structure.id,
+      name: sale.structure.name,
+      kind: 'sale',
+      seller: seller?.name,
+      buyer: req.agent.name,
+      agent_id: req.agent.id,
+      price: sale.price,
+    });
+    await db.logInteraction(req.agent.id, 'structure_purchase', {
+      structure_id: sale.structure.id,
+      name: sale.structure.name,
+      target_id: sale.sellerId,
+      target_name: seller?.name,
+      price: sale.price,
+    });
+
+    const balance = await db.getBalance(req.agent.id);
+    res.json(formatSuccess({
+      structure_id: sale.structure.id,
+      price: sale.price,
+      seller: seller?.name,
+      remaining_shells: parseInt(balance.shells, 10),
+    }));
+  } catch (err) {
+    logger.error('Structure purchase failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('Price changed') ? 409 : 400;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// AUCTIONS
+// ═══════════════════════════════════════════════════════════════
+
+function formatAuction(auction) {
+  return {
+    auction_id: auction.id,
+    structure_id: auction.structure_id,
+    structure: auction.structure_name,
+    type: auction.structure_type,
+    material: auction.structure_material,
+    seller: auction.seller_name,
+    reserve_price: parseInt(auction.reserve_price, 10),
+    min_increment: parseInt(auction.min_increment, 10),
+    high_bid: auction.high_bid === null ? null : parseInt(auction.high_bid, 10),
+    high_bidder: auction.high_bidder_name || null,
+    status: auction.status,
+    ends_at: auction.ends_at,
+    created_at: auction.created_at,
+    settled_at: auction.settled_at,
+  };
+}
+
+async function announceAuctionSettlement(auction) {
+  const sold = auction.status === 'settled';
+  io.emit('auction:settled', formatAuction(auction));
+  await db.logInteraction(sold ? auction.high_bidder_id : auction.seller_id, 'auction_settled', {
+    auction_id: auction.id,
+    structure_id: auction.structure_id,
+    name: auction.structure_name,
+    outcome: auction.status,
+    price: sold ? parseInt(auction.high_bid, 10) : null,
+    seller_name: auction.seller_name,
+    winner_name: sold ? auction.high_bidder_name : null,
+  });
+}
+
+app.post('/api/v1/habitat/structures/:id/auction', auth.requireScope('build'), async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json(formatError('Structure not found or not owned by you'));
+    }
+    const reserve = Number(req.body.reserve_price);
+    if (!Number.isSafeInteger(reserve) || reserve < ECONOMY.TRADE_MIN) {
+      return res.status(400).json(formatError(`reserve_price must be a whole number of at least ${ECONOMY.TRADE_MIN} shells`));
+    }
+    const increment = req.body.min_increment === undefined ? ECONOMY.AUCTION_MIN_INCREMENT : Number(req.body.min_increment);
+    if (!Number.isSafeInteger(increment) || increment < ECONOMY.AUCTION_MIN_INCREMENT) {
+      return res.status(400).json(formatError(`min_increment must be a whole number of at least ${ECONOMY.AUCTION_MIN_INCREMENT}`));
+    }
+
+    let duration = ECONOMY.AUCTION_DEFAULT_MINUTES;
+    if (req.body.ends_at !== undefined) {
+      const endsAt = Date.parse(req.body.ends_at);
+      if (Number.isNaN(endsAt)) {
+        return res.status(400).json(formatError('ends_at must be an ISO 8601 timestamp'));
+      }
+      duration = (endsAt - Date.now()) / 60000;
+    } else if (req.body.duration_minutes !== undefined) {
+      duration = Number(req.body.duration_minutes);
+    }
+    if (!Number.isFinite(duration) || duration < ECONOMY.AUCTION_MIN_MINUTES || duration > ECONOMY.AUCTION_MAX_MINUTES) {
+      return res.status(400).json(formatError(
+        `Auctions run between ${ECONOMY.AUCTION_MIN_MINUTES} minutes and ${ECONOMY.AUCTION_MAX_MINUTES / 1440} days`
+      ));
+    }
+
+    const opened = await db.openAuction(req.params.id, req.agent.id, reserve, increment, duration);
+    if (!opened) {
+      return res.status(404).json(formatError('Structure not found or not owned by you'));
+    }
+    const auction = await db.getAuction(opened.id);
+
+    io.emit('auction:open', formatAuction(auction));
+    await db.logInteraction(req.agent.id, 'auction_open', {
+      auction_id: auction.id,
+      structure_id: auction.structure_id,
+      name: auction.structure_name,
+      reserve_price: reserve,
+      ends_at: auction.ends_at,
+    });
+
+    res.status(201).json(formatSuccess(formatAuction(auction)));
+  } catch (err) {
+    logger.error('Auction open failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('already up for auction') ? 409 : 400;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+app.get('/api/v1/habitat/market/auctions', async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!['open', 'settled', 'unsold', 'cancelled'].includes(status)) {
+      return res.status(400).json(formatError('status must be open, settled, unsold or cancelled'));
+    }
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const auctions = await db.getAuctions({ status, limit });
+    res.json(formatSuccess({ auctions: auctions.map(formatAuction) }));
+  } catch (err) {
+    logger.error('Auctions fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch auctions'));
+  }
+});
+
+app.get('/api/v1/habitat/market/auctions/:id', async (req, res) => {
+  try {
+    const auction = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await db.getAuction(req.params.id) : null;
+    if (!auction) {
+      return res.status(404).json(formatError('Auction not found'));
+    }
+    const bids = await db.getAuctionBids(auction.id);
+    res.json(formatSuccess({
+      ...formatAuction(auction),
+      bids: bids.map(b => ({
+        bidder: b.bidder_name,
+        amount: parseInt(b.amount, 10),
+        status: b.status,
+        timestamp: b.created_at,
+      })),
+    }));
+  } catch (err) {
+    logger.error('Auction fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch auction'));
+  }
+});
+
+app.post('/api/v1/habitat/market/auctions/:id/bid', auth.requireScope('economy:trade'), idempotent, async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    if (!Number.isSafeInteger(amount) || amount < 1) {
+      return res.status(400).json(formatError('amount must be a whole number of shells'));
+    }
+
+    const result = /^[0-9a-f-]{36}$/i.test(req.params.id)
+      ? await db.placeBid(req.params.id, req.agent.id, amount)
+      : null;
+    if (!result) {
+      return res.status(404).json(formatError('Auction not found or already closed'));
+    }
+    const auction = await db.getAuction(result.auction.id);
+
+    io.emit('auction:bid', { ...formatAuction(auction), bidder: req.agent.name, amount });
+    if (result.outbid && result.outbid.bidder_id !== req.agent.id) {
+      io.to(`agent:${result.outbid.bidder_id}`).emit('auction:outbid', {
+        ...formatAuction(auction),
+        refunded: parseInt(result.outbid.amount, 10),
+      });
+    }
+    await db.logInteraction(req.agent.id, 'auction_bid', {
+      auction_id: auction.id,
+      structure_id: auction.structure_id,
+      name: auction.structure_name,
+      amount,
+    });
+
+    const balance = await db.getBalance(req.agent.id);
+    res.json(formatSuccess({
+      ...formatAuction(auction),
+      remaining_shells: parseInt(balance.shells, 10),
+      locked_shells: parseInt(balance.locked_shells, 10),
+    }));
+  } catch (err) {
+    logger.error('Bid failed', { error: err.message, agent: req.agent.name });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.post('/api/v1/habitat/market/auctions/:id/cancel', auth.requireScope('build'), async (req, res) => {
+  try {
+    const cancelled = /^[0-9a-f-]{36}$/i.test(req.params.id)
+      ? await db.cancelAuction(req.params.id, req.agent.id)
+      : null;
+    if (!cancelled) {
+      return res.status(409).json(formatError('Only the seller can cancel an open auction, and only before the first bid'));
+    }
+    const auction = await db.getAuction(cancelled.id);
+    await announceAuctionSettlement(auction);
+    res.json(formatSuccess(formatAuction(auction)));
+  } catch (err) {
+    logger.error('Auction cancel failed', { error: err.message });
+    res.status(500).json(formatError('Failed to cancel auction'));
+  }
+});
+
+app.post('/api/v1/habitat/interact', auth.requireScope('social'), socialLimiter, async (req, res) => {
   try {
     const { agent: targetName, action } = req.body;
     if (!targetName || !action) {
@@ -439,17 +1033,21 @@ app.post('/api/v1/habitat/interact', auth.authenticateAgent, async (req, res) =>
       return res.status(404).json(formatError('Target agent not found'));
     }
 
-    if (!req.agent.in_habitat) {
+    const agent = await auth.loadAgent(req);
+    if (!agent.in_habitat) {
       return res.status(400).json(formatError('You must be in the habitat to interact'));
     }
 
-    io.emit('agent:interact', {
+    interest.publish(io, 'agent:interact', {
       agent_id: req.agent.id,
       agent_name: req.agent.name,
       target_id: target.id,
       target_name: target.name,
       action,
       timestamp: new Date().toISOString(),
+    }, {
+      at: [{ x: agent.x, y: agent.y, z: agent.z }, { x: target.x, y: target.y, z: target.z }],
+      agents: [req.agent.id, target.id],
     });
 
     await db.logInteraction(req.agent.id, 'interact', {
@@ -458,14 +1056,16 @@ app.post('/api/v1/habitat/interact', auth.authenticateAgent, async (req, res) =>
       action,
     });
 
-    const earned = await db.earnShells(req.agent.id, ECONOMY.INTERACT_REWARD, 'interact');
+    const reward = await db.earnActivityReward(
+      req.agent.id, ECONOMY.INTERACT_REWARD, 'interact', `agent:${target.id}`, { targeted: true }
+    );
+    quests.recordProgress(req.agent.id, 'interact', { target_id: target.id }, io);
 
     res.json(formatSuccess({
       interacted: true,
       target: target.name,
       action,
-      shells_earned: ECONOMY.INTERACT_REWARD,
-      shells: parseInt(earned.shells, 10),
+      ...rewardFields(reward),
     }));
   } catch (err) {
     logger.error('Interact failed', { error: err.message });
@@ -473,7 +1073,7 @@ app.post('/api/v1/habitat/interact', auth.authenticateAgent, async (req, res) =>
   }
 });
 
-app.post('/api/v1/habitat/follow', auth.authenticateAgent, async (req, res) => {
+app.post('/api/v1/habitat/follow', auth.requireScope('move'), async (req, res) => {
   try {
     const { agent: targetName, distance } = req.body;
     if (!targetName) {
@@ -486,6 +1086,7 @@ app.post('/api/v1/habitat/follow', auth.authenticateAgent, async (req, res) => {
     }
 
     const result = await spatial.followAgent(req.agent.id, target.id, distance, io);
+    await navigation.cancelNavigation(req.agent.id);
     res.json(formatSuccess(result));
   } catch (err) {
     logger.error('Follow failed', { error: err.message });
@@ -493,7 +1094,7 @@ app.post('/api/v1/habitat/follow', auth.authenticateAgent, async (req, res) => {
   }
 });
 
-app.delete('/api/v1/habitat/follow', auth.authenticateAgent, async (req, res) => {
+app.delete('/api/v1/habitat/follow', auth.requireScope('move'), async (req, res) => {
   try {
     const result = await spatial.stopFollowing(req.agent.id);
     res.json(formatSuccess(result));
@@ -503,7 +1104,44 @@ app.delete('/api/v1/habitat/follow', auth.authenticateAgent, async (req, res) =>
   }
 });
 
-app.post('/api/v1/habitat/link-moltbook', auth.authenticateAgent, async (req, res) => {
+// ═══════════════════════════════════════════════════════════════
+// NAVIGATION
+// ═══════════════════════════════════════════════════════════════
+
+app.post('/api/v1/habitat/navigate', auth.requireScope('move'), pathLimiter, async (req, res) => {
+  try {
+    const result = await navigation.startNavigation(req.agent.id, req.body || {});
+    if (result.error) {
+      return res.status(result.status || 400).json(formatError(result.error));
+    }
+    res.status(201).json(formatSuccess(result));
+  } catch (err) {
+    logger.error('Navigate failed', { error: err.message, agent: req.agent.name });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.get('/api/v1/habitat/navigate', auth.requireScope('move'), async (req, res) => {
+  try {
+    const current = await navigation.getNavigation(req.agent.id);
+    res.json(formatSuccess({ navigation: current }));
+  } catch (err) {
+    logger.error('Navigation fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch navigation'));
+  }
+});
+
+app.delete('/api/v1/habitat/navigate', auth.requireScope('move'), async (req, res) => {
+  try {
+    const cancelled = await navigation.cancelNavigation(req.agent.id);
+    res.json(formatSuccess({ cancelled }));
+  } catch (err) {
+    logger.error('Navigation cancel failed', { error: err.message });
+    res.status(500).json(formatError('Failed to cancel navigation'));
+  }
+});
+
+app.post('/api/v1/habitat/link-moltbook', auth.requireScope('profile'), async (req, res) => {
   try {
     const { moltbook_api_key } = req.body;
     if (!moltbook_api_key || typeof moltbook_api_key !== 'string') {
@@ -524,7 +1162,7 @@ app.post('/api/v1/habitat/link-moltbook', auth.authenticateAgent, async (req, re
   }
 });
 
-app.get('/api/v1/habitat/me', auth.authenticateAgent, async (req, res) => {
+app.get('/api/v1/habitat/me', auth.requireScope('world:read'), async (req, res) => {
   try {
     const agent = await db.getAgentById(req.agent.id);
     const balance = await db.getBalance(req.agent.id);
@@ -535,6 +1173,7 @@ app.get('/api/v1/habitat/me', auth.authenticateAgent, async (req, res) => {
       created_at: agent.created_at,
       claimed: agent.claimed,
       twitter_handle: agent.human_twitter_handle,
+      owner_wallet: agent.owner_wallet,
       openclaw_id: agent.openclaw_id,
       moltbook_linked: !!agent.moltbook_api_key_hash,
       avatar_color: agent.avatar_color,
@@ -551,12 +1190,27 @@ app.get('/api/v1/habitat/me', auth.authenticateAgent, async (req, res) => {
   }
 });
 
-app.get('/api/v1/habitat/profile', auth.authenticateAgent, async (req, res) => {
+app.get('/api/v1/habitat/me/exploration', auth.requireScope('world:read'), async (req, res) => {
   try {
-    const { name } = req.query;
-    if (!name) {
-      return res.status(400).json(formatError('name query parameter is required'));
-    }
+    const exploration = await spatial.getExploration(req.agent.id);
+    const agent = await db.getAgentById(req.agent.id);
+    res.json(formatSuccess({
+      ...exploration,
+      current_cell: agent.in_habitat ? spatial.cellForPosition({ x: agent.x, z: agent.z }) : null,
+      reward_per_cell: ECONOMY.EXPLORE_REWARD,
+    }));
+  } catch (err) {
+    logger.error('Exploration fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch exploration'));
+  }
+});
+
+app.get('/api/v1/habitat/profile', auth.requireScope('world:read'), async (req, res) => {
+  try {
+    const { name } = req.query;
+    if (!name) {
+      return res.status(400).json(formatError('name query parameter is required'));
+    }
 
     const agent = await db.getAgentByName(name);
     if (!agent) {
@@ -581,7 +1235,7 @@ app.get('/api/v1/habitat/profile', auth.authenticateAgent, async (req, res) => {
   }
 });
 
-app.patch('/api/v1/habitat/me/avatar', auth.authenticateAgent, async (req, res) => {
+app.patch('/api/v1/habitat/me/avatar', auth.requireScope('profile'), async (req, res) => {
   try {
     const { color, accessories } = req.body;
 
@@ -607,6 +1261,228 @@ app.patch('/api/v1/habitat/me/avatar', auth.authenticateAgent, async (req, res)
   }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// PAYMENT INTENTS
+// ═══════════════════════════════════════════════════════════════
+
+app.post('/api/v1/habitat/payments/intent', auth.requireScope('economy:trade'), async (req, res) => {
+  try {
+    const { purpose } = req.body;
+    if (purpose && purpose !== 'entry') {
+      return res.status(400).json(formatError('Invalid purpose. Allowed: entry'));
+    }
+    const intent = await monad.createEntryIntent(req.agent.id);
+    res.status(201).json(formatSuccess({
+      ...monad.formatIntent(intent),
+      hint: 'Send exactly this transaction: value >= amount, to = pay_to, data = reference. Then poll the intent.',
+    }));
+  } catch (err) {
+    logger.error('Payment intent creation failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('already paid') ? 409 : 400;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+app.get('/api/v1/habitat/payments/intent/:id', auth.requireScope('economy:read'), async (req, res) => {
+  try {
+    const intent = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await db.getPaymentIntent(req.params.id, req.agent.id) : null;
+    if (!intent) {
+      return res.status(404).json(formatError('Payment intent not found'));
+    }
+    let refreshed = intent;
+    let lastError = null;
+    try {
+      refreshed = await monad.refreshIntent(intent);
+    } catch (err) {
+      lastError = err.message;
+    }
+    res.json(formatSuccess({ ...monad.formatIntent(refreshed), last_error: lastError }));
+  } catch (err) {
+    logger.error('Payment intent fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch payment intent'));
+  }
+});
+
+app.post('/api/v1/habitat/payments/intent/:id/tx', auth.requireScope('economy:trade'), async (req, res) => {
+  try {
+    const { tx_hash } = req.body;
+    const intent = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await db.getPaymentIntent(req.params.id, req.agent.id) : null;
+    if (!intent) {
+      return res.status(404).json(formatError('Payment intent not found'));
+    }
+    const refreshed = await monad.submitIntentTx(intent, tx_hash);
+    res.json(formatSuccess(monad.formatIntent(refreshed)));
+  } catch (err) {
+    logger.error('Payment intent tx submit failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('already been used') ? 409 : 400;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// PAYMENT WALLET
+// ═══════════════════════════════════════════════════════════════
+
+app.get('/api/v1/habitat/wallet', auth.requireScope('world:read'), async (req, res) => {
+  try {
+    const agent = await auth.loadAgent(req);
+    const binding = getWalletBinding(agent);
+    res.json(formatSuccess({
+      wallet_address: binding ? binding.address : null,
+      binding: binding ? binding.method : null,
+      bound_at: agent.payment_wallet_bound_at,
+    }));
+  } catch (err) {
+    logger.error('Wallet fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch wallet'));
+  }
+});
+
+app.post('/api/v1/habitat/wallet/challenge', auth.requireScope('profile'), async (req, res) => {
+  try {
+    const { address } = req.body;
+    if (!address) {
+      return res.status(400).json(formatError('address is required'));
+    }
+    const result = await auth.createWalletBindingChallenge(req.agent, address);
+    res.json(formatSuccess({
+      ...result,
+      hint: 'Sign this exact message with personal_sign, then POST /api/v1/habitat/wallet with the signature',
+    }));
+  } catch (err) {
+    logger.error('Wallet challenge failed', { error: err.message, agent: req.agent.name });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.post('/api/v1/habitat/wallet', auth.requireScope('profile'), async (req, res) => {
+  try {
+    const { signature } = req.body;
+    if (!signature) {
+      return res.status(400).json(formatError('signature is required'));
+    }
+    const result = await auth.verifyWalletBinding(req.agent, signature);
+    res.json(formatSuccess(result));
+  } catch (err) {
+    logger.error('Wallet binding failed', { error: err.message, agent: req.agent.name });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// API KEYS
+// ═══════════════════════════════════════════════════════════════
+
+app.get('/api/v1/habitat/keys', auth.requireScope('keys:manage'), async (req, res) => {
+  try {
+    const keys = await auth.listApiKeys(req.agent.id);
+    res.json(formatSuccess({ keys, current_key_id: req.apiKey.id }));
+  } catch (err) {
+    logger.error('Key list failed', { error: err.message });
+    res.status(500).json(formatError('Failed to list API keys'));
+  }
+});
+
+app.post('/api/v1/habitat/keys', auth.requireScope('keys:manage'), async (req, res) => {
+  try {
+    const { scopes, label } = req.body;
+    const key = await auth.createApiKey(req.agent.id, req.apiKey.scopes, scopes, label);
+    res.status(201).json(formatSuccess({
+      key,
+      hint: 'Save the new API key securely - it cannot be retrieved later',
+    }));
+  } catch (err) {
+    logger.error('Key creation failed', { error: err.message, agent: req.agent.name });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.post('/api/v1/habitat/keys/rotate', auth.requireScope('keys:manage'), async (req, res) => {
+  try {
+    const { grace_period_seconds, label } = req.body;
+    const result = await auth.rotateApiKey(req.agent.id, req.apiKey, grace_period_seconds, label);
+
+    if (!result.previous_key || !result.previous_key.grace_period_seconds) {
+      io.in(`key:${req.apiKey.id}`).disconnectSockets(true);
+    } else {
+      const sockets = await io.in(`key:${req.apiKey.id}`).fetchSockets();
+      for (const socket of sockets) {
+        socket.data.apiKeyExpiresAt = new Date(result.previous_key.expires_at).getTime();
+      }
+    }
+
+    res.status(201).json(formatSuccess({
+      ...result,
+      hint: 'Save the new API key securely - it cannot be retrieved later',
+    }));
+  } catch (err) {
+    logger.error('Key rotation failed', { error: err.message, agent: req.agent.name });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.delete('/api/v1/habitat/keys/:id', auth.requireScope('keys:manage'), async (req, res) => {
+  try {
+    const result = await auth.revokeApiKey(req.agent.id, req.params.id);
+    io.in(`key:${result.id}`).disconnectSockets(true);
+    res.json(formatSuccess({ revoked: true, key_id: result.id, revoked_at: result.revoked_at }));
+  } catch (err) {
+    logger.error('Key revocation failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('not found') ? 404 : 400;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SESSION TOKENS
+// ═══════════════════════════════════════════════════════════════
+
+app.post('/api/v1/habitat/session', auth.authenticateAgent, async (req, res) => {
+  try {
+    if (req.apiKey.session_id) {
+      return res.status(400).json(formatError(
+        'Sessions must be created with an API key',
+        'Use POST /api/v1/habitat/session/refresh to extend a session'
+      ));
+    }
+    const session = await auth.createSession(req.agent, req.apiKey);
+    res.status(201).json(formatSuccess(session));
+  } catch (err) {
+    logger.error('Session creation failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('JWT_SECRET') ? 503 : 500;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+app.post('/api/v1/habitat/session/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token || typeof refresh_token !== 'string') {
+      return res.status(400).json(formatError('refresh_token is required'));
+    }
+    const session = await auth.refreshSession(refresh_token);
+    res.json(formatSuccess(session));
+  } catch (err) {
+    logger.error('Session refresh failed', { error: err.message });
+    const status = err.message.includes('JWT_SECRET') ? 503 : 401;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+app.delete('/api/v1/habitat/session', auth.authenticateAgent, async (req, res) => {
+  try {
+    if (req.apiKey.session_id) {
+      await auth.revokeSession(req.apiKey.session_id);
+      return res.json(formatSuccess({ revoked: true, sessions: 1 }));
+    }
+    const count = await auth.revokeKeySessions(req.apiKey.id);
+    res.json(formatSuccess({ revoked: true, sessions: count }));
+  } catch (err) {
+    logger.error('Session revocation failed', { error: err.message, agent: req.agent.name });
+    res.status(500).json(formatError('Failed to revoke session'));
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════
 // PUBLIC ROUTES
 // ═══════════════════════════════════════════════════════════════
@@ -661,7 +1537,7 @@ app.get('/api/v1/habitat/chronicle', async (req, res) => {
 // ECONOMY ROUTES
 // ═══════════════════════════════════════════════════════════════
 
-app.get('/api/v1/habitat/economy/balance', auth.authenticateAgent, async (req, res) => {
+app.get('/api/v1/habitat/economy/balance', auth.requireScope('economy:read'), async (req, res) => {
   try {
     const balance = await db.getBalance(req.agent.id);
     const deposits = await db.getAgentDeposits(req.agent.id);
@@ -669,6 +1545,7 @@ app.get('/api/v1/habitat/economy/balance', auth.authenticateAgent, async (req, r
       shells: parseInt(balance.shells, 10),
       total_earned: parseInt(balance.total_earned, 10),
       total_spent: parseInt(balance.total_spent, 10),
+      locked_shells: parseInt(balance.locked_shells || 0, 10),
       mon_deposits: deposits.length,
     }));
   } catch (err) {
@@ -677,7 +1554,33 @@ app.get('/api/v1/habitat/economy/balance', auth.authenticateAgent, async (req, r
   }
 });
 
-app.post('/api/v1/habitat/economy/trade', auth.authenticateAgent, async (req, res) => {
+app.get('/api/v1/habitat/economy/rates', (req, res) => {
+  try {
+    const rates = monad.getShellRates();
+    let quote = null;
+    if (req.query.mon !== undefined) {
+      const mon = String(req.query.mon);
+      if (!/^\d+(\.\d{1,18})?$/.test(mon)) {
+        return res.status(400).json(formatError('mon must be a decimal MON amount, e.g. 0.5'));
+      }
+      quote = {
+        mon,
+        shells: monad.quoteShells(mon, false),
+        shells_if_first_deposit: monad.quoteShells(mon, true),
+      };
+    }
+    res.json(formatSuccess({
+      ...rates,
+      purchase: 'Send MON to pay_to from your bound wallet (or with a payment intent). Your first deposit pays the entry fee; anything above it, and every later deposit, is credited as shells.',
+      quote,
+    }));
+  } catch (err) {
+    logger.error('Rates fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch rates'));
+  }
+});
+
+app.post('/api/v1/habitat/economy/trade', auth.requireScope('economy:trade'), idempotent, async (req, res) => {
   try {
     const { agent: targetName, amount, memo } = req.body;
     if (!targetName || !amount) {
@@ -729,6 +1632,453 @@ app.post('/api/v1/habitat/economy/trade', auth.authenticateAgent, async (req, re
   }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// TRADE OFFERS
+// ═══════════════════════════════════════════════════════════════
+
+function parseOfferTerms(body) {
+  const amount = body.amount === undefined ? 0 : Number(body.amount);
+  const askAmount = body.ask_amount === undefined ? 0 : Number(body.ask_amount);
+  for (const [field, value] of [['amount', amount], ['ask_amount', askAmount]]) {
+    if (!Number.isInteger(value) || value < 0 || (value > 0 && value < ECONOMY.TRADE_MIN)) {
+      return { error: `${field} must be 0 or a whole number of at least ${ECONOMY.TRADE_MIN} shells` };
+    }
+  }
+  if (amount === 0 && askAmount === 0) {
+    return { error: 'An offer needs an amount to give, an ask_amount to receive, or both' };
+  }
+
+  const memo = body.memo === undefined ? '' : body.memo;
+  if (typeof memo !== 'string' || memo.length > 200) {
+    return { error: 'memo must be a string of 200 characters or fewer' };
+  }
+
+  const ttl = body.expires_in_minutes === undefined ? ECONOMY.OFFER_TTL_MINUTES : Number(body.expires_in_minutes);
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > ECONOMY.OFFER_MAX_TTL_MINUTES) {
+    return { error: `expires_in_minutes must be between 1 and ${ECONOMY.OFFER_MAX_TTL_MINUTES}` };
+  }
+  return { amount, askAmount, memo, ttl };
+}
+
+function formatOffer(offer) {
+  return {
+    offer_id: offer.id,
+    from: offer.from_name,
+    to: offer.to_name,
+    amount: parseInt(offer.amount, 10),
+    ask_amount: parseInt(offer.ask_amount, 10),
+    memo: offer.memo || '',
+    status: offer.status,
+    counter_of: offer.counter_of,
+    expires_at: offer.expires_at,
+    created_at: offer.created_at,
+    resolved_at: offer.resolved_at,
+  };
+}
+
+// Both parties hear about every change to an offer on their agent sockets.
+function notifyOffer(event, offer) {
+  io.to(`agent:${offer.from_agent_id}`).to(`agent:${offer.to_agent_id}`).emit('economy:offer', {
+    event,
+    offer: formatOffer(offer),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Loads an offer the calling agent is party to, or sends a 404.
+async function loadOffer(req, res) {
+  const offer = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await db.getTradeOffer(req.params.id) : null;
+  if (!offer || (offer.from_agent_id !== req.agent.id && offer.to_agent_id !== req.agent.id)) {
+    res.status(404).json(formatError('Offer not found'));
+    return null;
+  }
+  return offer;
+}
+
+app.post('/api/v1/habitat/economy/offers', auth.requireScope('economy:trade'), idempotent, async (req, res) => {
+  try {
+    const { agent: targetName } = req.body;
+    if (!targetName) {
+      return res.status(400).json(formatError('agent (target name) is required'));
+    }
+    const terms = parseOfferTerms(req.body);
+    if (terms.error) {
+      return res.status(400).json(formatError(terms.error));
+    }
+
+    const target = await db.getAgentByName(targetName);
+    if (!target) {
+      return res.status(404).json(formatError('Target agent not found'));
+    }
+    if (target.id === req.agent.id) {
+      return res.status(400).json(formatError('Cannot make an offer to yourself'));
+    }
+
+    const created = await db.createTradeOffer(
+      req.agent.id, target.id, terms.amount, terms.askAmount, terms.memo, terms.ttl, ECONOMY.MAX_PENDING_OFFERS
+    );
+    const offer = await db.getTradeOffer(created.id);
+
+    await db.logInteraction(req.agent.id, 'trade_offer', {
+      offer_id: offer.id,
+      target_id: target.id,
+      target_name: target.name,
+      amount: terms.amount,
+      ask_amount: terms.askAmount,
+    });
+    notifyOffer('created', offer);
+
+    res.status(201).json(formatSuccess(formatOffer(offer)));
+  } catch (err) {
+    logger.error('Offer creation failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('Insufficient') || err.message.includes('Too many') ? 400 : 500;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+app.get('/api/v1/habitat/economy/offers', auth.requireScope('economy:read'), async (req, res) => {
+  try {
+    const { status, direction } = req.query;
+    if (direction && !['incoming', 'outgoing', 'all'].includes(direction)) {
+      return res.status(400).json(formatError('direction must be incoming, outgoing or all'));
+    }
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offers = await db.getAgentTradeOffers(req.agent.id, { status, direction, limit });
+    res.json(formatSuccess({ offers: offers.map(formatOffer) }));
+  } catch (err) {
+    logger.error('Offers fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch offers'));
+  }
+});
+
+app.get('/api/v1/habitat/economy/offers/:id', auth.requireScope('economy:read'), async (req, res) => {
+  try {
+    const offer = await loadOffer(req, res);
+    if (!offer) return;
+    res.json(formatSuccess(formatOffer(offer)));
+  } catch (err) {
+    logger.error('Offer fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch offer'));
+  }
+});
+
+app.post('/api/v1/habitat/economy/offers/:id/accept', auth.requireScope('economy:trade'), async (req, res) => {
+  try {
+    const offer = await loadOffer(req, res);
+    if (!offer) return;
+
+    const accepted = await db.acceptTradeOffer(offer.id, req.agent.id);
+    if (!accepted) {
+      return res.status(409).json(formatError(
+        `Offer is ${offer.status === 'pending' ? 'expired' : offer.status} or not addressed to you`
+      ));
+    }
+    const settled = await db.getTradeOffer(offer.id);
+
+    await db.logInteraction(req.agent.id, 'trade', {
+      offer_id: offer.id,
+      target_id: offer.from_agent_id,
+      target_name: offer.from_name,
+      amount: parseInt(offer.amount, 10),
+      ask_amount: parseInt(offer.ask_amount, 10),
+      memo: offer.memo,
+    });
+    notifyOffer('accepted', settled);
+    for (const [from, to, amount] of [
+      [offer.from_name, offer.to_name, parseInt(offer.amount, 10)],
+      [offer.to_name, offer.from_name, parseInt(offer.ask_amount, 10)],
+    ]) {
+      if (amount > 0) {
+        io.emit('economy:trade', { from, to, amount, memo: offer.memo || '', timestamp: new Date().toISOString() });
+      }
+    }
+
+    const balance = await db.getBalance(req.agent.id);
+    res.json(formatSuccess({ ...formatOffer(settled), remaining_shells: parseInt(balance.shells, 10) }));
+  } catch (err) {
+    logger.error('Offer accept failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('Insufficient') ? 400 : 500;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+// Decline and cancel only differ in which party may call them.
+for (const [action, status] of [['decline', 'declined'], ['cancel', 'cancelled']]) {
+  app.post(`/api/v1/habitat/economy/offers/:id/${action}`, auth.requireScope('economy:trade'), async (req, res) => {
+    try {
+      const offer = await loadOffer(req, res);
+      if (!offer) return;
+
+      const closed = await db.closeTradeOffer(offer.id, status, req.agent.id);
+      if (!closed) {
+        const party = action === 'decline' ? 'recipient' : 'sender';
+        return res.status(409).json(formatError(`Only the ${party} can ${action} a pending offer`));
+      }
+      const updated = await db.getTradeOffer(offer.id);
+      notifyOffer(status, updated);
+      res.json(formatSuccess(formatOffer(updated)));
+    } catch (err) {
+      logger.error(`Offer ${action} failed`, { error: err.message, agent: req.agent.name });
+      res.status(500).json(formatError(err.message));
+    }
+  });
+}
+
+app.post('/api/v1/habitat/economy/offers/:id/counter', auth.requireScope('economy:trade'), async (req, res) => {
+  try {
+    const offer = await loadOffer(req, res);
+    if (!offer) return;
+    const terms = parseOfferTerms(req.body);
+    if (terms.error) {
+      return res.status(400).json(formatError(terms.error));
+    }
+
+    const result = await db.counterTradeOffer(
+      offer.id, req.agent.id, terms.amount, terms.askAmount, terms.memo, terms.ttl, ECONOMY.MAX_PENDING_OFFERS
+    );
+    if (!result) {
+      return res.status(409).json(formatError('Only the recipient can counter a pending offer'));
+    }
+    const original = await db.getTradeOffer(offer.id);
+    const counter = await db.getTradeOffer(result.counter.id);
+    notifyOffer('countered', original);
+    notifyOffer('created', counter);
+
+    res.status(201).json(formatSuccess({ ...formatOffer(counter), countered: formatOffer(original) }));
+  } catch (err) {
+    logger.error('Offer counter failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('Insufficient') || err.message.includes('Too many') ? 400 : 500;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+app.get('/api/v1/habitat/economy/ledger', auth.requireScope('economy:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : null;
+    if (before !== null && (!Number.isInteger(before) || before < 1)) {
+      return res.status(400).json(formatError('before must be a ledger entry id'));
+    }
+    const reason = typeof req.query.reason === 'string' ? req.query.reason.slice(0, 40) : null;
+
+    const entries = await db.getLedgerEntries(req.agent.id, { before, reason, limit });
+    const balance = await db.getLedgerBalance(req.agent.id);
+
+    res.json(formatSuccess({
+      balance,
+      entries: entries.map(e => ({
+        entry_id: Number(e.id),
+        txn_id: e.txn_id,
+        account: e.account.endsWith(':locked') ? 'locked' : 'shells',
+        amount: parseInt(e.amount, 10),
+        reason: e.reason,
+        reference: e.reference,
+        counter_accounts: e.counter_accounts || [],
+        created_at: e.created_at,
+      })),
+      next_before: entries.length === limit ? Number(entries[entries.length - 1].id) : null,
+    }));
+  } catch (err) {
+    logger.error('Ledger fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch ledger'));
+  }
+});
+
+// Reads ?from= and ?to= as ISO dates. Returns { from, to } (either may be
+// null when not given) or { error }.
+function parseDateRange(query) {
+  const range = {};
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) {
+      range[field] = null;
+      continue;
+    }
+    const date = new Date(String(query[field]));
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${field} must be an ISO 8601 date or timestamp` };
+    }
+    range[field] = date;
+  }
+  if (range.from && range.to && range.from >= range.to) {
+    return { error: 'from must be earlier than to' };
+  }
+  return range;
+}
+
+app.get('/api/v1/habitat/economy/trades', auth.requireScope('economy:read'), async (req, res) => {
+  try {
+    const direction = req.query.direction || 'all';
+    if (!['sent', 'received', 'all'].includes(direction)) {
+      return res.status(400).json(formatError('direction must be sent, received or all'));
+    }
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json(formatError(range.error));
+    }
+
+    let counterpartyId;
+    if (req.query.counterparty) {
+      const counterparty = await db.getAgentByName(req.query.counterparty);
+      if (!counterparty) {
+        return res.status(404).json(formatError('Counterparty not found'));
+      }
+      counterpartyId = counterparty.id;
+    }
+
+    // The cursor is the (created_at, id) of the last trade on the previous page.
+    // created_at is carried as Postgres text so it keeps microsecond precision.
+    let before = null;
+    if (req.query.before) {
+      try {
+        before = JSON.parse(Buffer.from(String(req.query.before), 'base64url').toString());
+      } catch {
+        before = null;
+      }
+      if (!before || Number.isNaN(Date.parse(before.created_at)) || !/^[0-9a-f-]{36}$/i.test(before.id)) {
+        return res.status(400).json(formatError('before must be a next_before value from a previous page'));
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const filters = { counterpartyId, from: range.from, to: range.to, direction };
+    const trades = await db.getAgentTrades(req.agent.id, { ...filters, before, limit });
+    const summary = await db.getTradeSummary(req.agent.id, filters);
+
+    const last = trades[trades.length - 1];
+    const sent = parseInt(summary.sent, 10);
+    const received = parseInt(summary.received, 10);
+    res.json(formatSuccess({
+      summary: { trades: parseInt(summary.trades, 10), sent, received, net: received - sent },
+      trades: trades.map(t => {
+        const outgoing = t.from_agent_id === req.agent.id;
+        return {
+          trade_id: t.id,
+          direction: outgoing ? 'sent' : 'received',
+          counterparty: outgoing ? t.to_name : t.from_name,
+          amount: parseInt(t.amount, 10),
+          memo: t.memo || '',
+          created_at: t.created_at,
+        };
+      }),
+      next_before: trades.length === limit
+        ? Buffer.from(JSON.stringify({ created_at: last.cursor_at, id: last.id })).toString('base64url')
+        : null,
+    }));
+  } catch (err) {
+    logger.error('Trade history fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch trades'));
+  }
+});
+
+const STATEMENT_PERIODS = ['day', 'week', 'month'];
+const STATEMENT_MAX_DAYS = 366;
+
+app.get('/api/v1/habitat/economy/statement', auth.requireScope('economy:read'), async (req, res) => {
+  try {
+    const period = req.query.period || 'day';
+    if (!STATEMENT_PERIODS.includes(period)) {
+      return res.status(400).json(formatError(`period must be one of: ${STATEMENT_PERIODS.join(', ')}`));
+    }
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json(formatError(range.error));
+    }
+    const to = range.to || new Date();
+    const from = range.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (to - from > STATEMENT_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json(formatError(`A statement covers at most ${STATEMENT_MAX_DAYS} days`));
+    }
+
+    const rows = await db.getStatement(req.agent.id, { from, to, period });
+    const totals = { earned: {}, spent: {}, earned_total: 0, spent_total: 0, net: 0, transactions: 0 };
+    const periods = new Map();
+    for (const row of rows) {
+      const key = new Date(row.period_start).toISOString();
+      if (!periods.has(key)) {
+        periods.set(key, { period_start: key, earned: {}, spent: {}, earned_total: 0, spent_total: 0, net: 0, transactions: 0 });
+      }
+      const earned = parseInt(row.earned, 10);
+      const spent = parseInt(row.spent, 10);
+      for (const bucket of [periods.get(key), totals]) {
+        if (earned > 0) bucket.earned[row.reason] = (bucket.earned[row.reason] || 0) + earned;
+        if (spent > 0) bucket.spent[row.reason] = (bucket.spent[row.reason] || 0) + spent;
+        bucket.earned_total += earned;
+        bucket.spent_total += spent;
+        bucket.net += earned - spent;
+        bucket.transactions += parseInt(row.transactions, 10);
+      }
+    }
+
+    const balance = await db.getLedgerBalance(req.agent.id);
+    res.json(formatSuccess({
+      period,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      balance,
+      totals,
+      periods: [...periods.values()],
+    }));
+  } catch (err) {
+    logger.error('Statement fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to build statement'));
+  }
+});
+
+app.post('/api/v1/habitat/economy/withdraw', auth.requireScope('economy:trade'), idempotent, async (req, res) => {
+  try {
+    const shells = Number(req.body.shells);
+    const binding = getWalletBinding(await auth.loadAgent(req));
+    if (!binding) {
+      return res.status(400).json(formatError(
+        'No wallet bound to this agent',
+        'Withdrawals are paid to your bound wallet: POST /api/v1/habitat/wallet/challenge, then POST /api/v1/habitat/wallet'
+      ));
+    }
+
+    const withdrawal = await monad.requestWithdrawal(req.agent.id, shells, binding.address);
+    const balance = await db.getBalance(req.agent.id);
+
+    res.status(201).json(formatSuccess({
+      ...monad.formatWithdrawal(withdrawal),
+      remaining_shells: parseInt(balance.shells, 10),
+      hint: withdrawal.status === 'pending_approval'
+        ? 'Large withdrawals wait for operator approval before they are queued'
+        : 'Poll GET /api/v1/habitat/economy/withdrawals/:id or listen for economy:withdrawal',
+    }));
+  } catch (err) {
+    logger.error('Withdrawal request failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('Daily withdrawal limit') ? 429 : 400;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+app.get('/api/v1/habitat/economy/withdrawals', auth.requireScope('economy:read'), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const withdrawals = await db.getAgentWithdrawals(req.agent.id, limit);
+    res.json(formatSuccess({
+      withdrawals: withdrawals.map(monad.formatWithdrawal),
+      rules: monad.getWithdrawalRules(),
+    }));
+  } catch (err) {
+    logger.error('Withdrawals fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch withdrawals'));
+  }
+});
+
+app.get('/api/v1/habitat/economy/withdrawals/:id', auth.requireScope('economy:read'), async (req, res) => {
+  try {
+    const withdrawal = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await db.getWithdrawal(req.params.id, req.agent.id) : null;
+    if (!withdrawal) {
+      return res.status(404).json(formatError('Withdrawal not found'));
+    }
+    res.json(formatSuccess(monad.formatWithdrawal(withdrawal)));
+  } catch (err) {
+    logger.error('Withdrawal fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch withdrawal'));
+  }
+});
+
 app.get('/api/v1/habitat/economy/leaderboard', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit, 10) || 10;
@@ -758,6 +2108,7 @@ app.get('/api/v1/habitat/world-rules', (req, res) => {
       dev_mode: monad.isDevMode(),
       first_entry_bonus: ECONOMY.ENTRY_BONUS + ' shells',
       returning_agents: 'Free re-entry after first deposit',
+      shells_per_mon: monad.getShellRates().shells_per_mon,
     },
     economy: {
       currency: 'shells',
@@ -768,10 +2119,56 @@ app.get('/api/v1/habitat/world-rules', (req, res) => {
         gesture: ECONOMY.GESTURE_REWARD,
         explore: ECONOMY.EXPLORE_REWARD,
       },
+      quests: {
+        per_day: quests.QUESTS_PER_DAY,
+        endpoint: '/api/v1/habitat/quests',
+        resets: 'midnight UTC',
+      },
+      bounties: {
+        endpoint: '/api/v1/habitat/bounties',
+        conditions: ['build', 'visit', 'interact'],
+        max_open_per_agent: ECONOMY.MAX_OPEN_BOUNTIES,
+        max_hours: ECONOMY.BOUNTY_MAX_HOURS,
+      },
+      reward_limits: {
+        window_minutes: ECONOMY.REWARD_WINDOW_MINUTES,
+        full_rewards_per_window: ECONOMY.REWARD_FULL_PER_WINDOW,
+        decay: ECONOMY.REWARD_DECAY,
+        repeat_target_window_minutes: ECONOMY.REPEAT_TARGET_WINDOW_MINUTES,
+        repeat_target_full_rewards: ECONOMY.REPEAT_TARGET_FULL,
+        daily_cap: ECONOMY.DAILY_EARN_CAP,
+      },
       trading: {
         min_amount: ECONOMY.TRADE_MIN,
         fee: 0,
       },
+      building_costs: {
+        formula: 'ceil((base + width * length * height / 100 * per_100_volume) * type_multiplier * material_multiplier)',
+        base: BUILD_COSTS.BASE,
+        per_100_volume: BUILD_COSTS.PER_100_VOLUME,
+        type_multiplier: BUILD_COSTS.TYPE_MULTIPLIER,
+        material_multiplier: BUILD_COSTS.MATERIAL_MULTIPLIER,
+        upgrades: 'Modifying a structure charges the increase in cost; shrinking is free',
+        delete_refund_rate: BUILD_COSTS.REFUND_RATE,
+        delete_refund: 'floor((paid - build_reward) * delete_refund_rate)',
+        examples: {
+          'pillar/sand 1x1x1': buildCost('pillar', 'sand', { width: 1, length: 1, height: 1 }),
+          'platform/coral 5x5x5': buildCost('platform', 'coral', { width: 5, length: 5, height: 5 }),
+          'shelter/crystal 50x50x50': buildCost('shelter', 'crystal', { width: 50, length: 50, height: 50 }),
+        },
+      },
+      structure_market: {
+        listings: '/api/v1/habitat/market/structures',
+        min_price: ECONOMY.TRADE_MIN,
+        fee: 0,
+      },
+      auctions: {
+        listings: '/api/v1/habitat/market/auctions',
+        duration_minutes: { min: ECONOMY.AUCTION_MIN_MINUTES, max: ECONOMY.AUCTION_MAX_MINUTES, default: ECONOMY.AUCTION_DEFAULT_MINUTES },
+        min_increment: ECONOMY.AUCTION_MIN_INCREMENT,
+        settlement: 'checked every minute after ends_at',
+      },
+      withdrawals: monad.getWithdrawalRules(),
     },
     world_bounds: {
       x: { min: -500, max: 500 },
@@ -779,15 +2176,267 @@ app.get('/api/v1/habitat/world-rules', (req, res) => {
       z: { min: -500, max: 500 },
     },
     spawn_zones: spatial.SPAWN_ZONES,
+    exploration: {
+      cell_size: spatial.EXPLORE_CELL_SIZE,
+      grid: spatial.EXPLORE_GRID,
+      reward: ECONOMY.EXPLORE_REWARD,
+      rule: 'The first time you move into a cell you earn the explore reward; your spawn cell is explored for free',
+    },
+    authentication: {
+      header: 'Authorization: Bearer <api_key>',
+      key_scopes: API_KEY_SCOPES,
+    },
     mechanics: {
       building: { types: STRUCTURE_TYPES, materials: STRUCTURE_MATERIALS },
       social: { animations: ALLOWED_ANIMATIONS, gestures: ALLOWED_GESTURES, voice_styles: VOICE_STYLES },
-      movement: { max_speed: 50, rate_limit: '10/second' },
+      movement: {
+        max_speed: 50,
+        rate_limit: '10/second',
+        collisions: 'Structures are solid, except the gap between an arch\'s legs and the doorway on a shelter\'s -z side; a blocked move stops at the surface and slides along it',
+      },
     },
     api_docs: '/skill.md',
   }));
 });
 
+// ═══════════════════════════════════════════════════════════════
+// QUESTS & BOUNTIES
+// ═══════════════════════════════════════════════════════════════
+
+app.get('/api/v1/habitat/quests', auth.requireScope('world:read'), async (req, res) => {
+  try {
+    const daily = await quests.getDailyQuests(req.agent.id);
+    const tomorrow = new Date();
+    tomorrow.setUTCHours(24, 0, 0, 0);
+    res.json(formatSuccess({
+      quests: daily.map(quests.formatQuest),
+      resets_at: tomorrow.toISOString(),
+    }));
+  } catch (err) {
+    logger.error('Quest fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch quests'));
+  }
+});
+
+function formatBounty(bounty) {
+  return {
+    bounty_id: bounty.id,
+    title: bounty.title,
+    poster: bounty.poster_name,
+    reward: parseInt(bounty.reward, 10),
+    condition: bounty.condition,
+    status: bounty.status,
+    claimed_by: bounty.claimer_name || null,
+    proof: bounty.proof,
+    expires_at: bounty.expires_at,
+    created_at: bounty.created_at,
+    resolved_at: bounty.resolved_at,
+  };
+}
+
+app.post('/api/v1/habitat/bounties', auth.requireScope('economy:trade'), idempotent, async (req, res) => {
+  try {
+    const { title } = req.body;
+    if (!title || typeof title !== 'string' || title.length > 200) {
+      return res.status(400).json(formatError('title is required (max 200 chars)'));
+    }
+    const reward = Number(req.body.reward);
+    if (!Number.isSafeInteger(reward) || reward < ECONOMY.TRADE_MIN) {
+      return res.status(400).json(formatError(`reward must be a whole number of at least ${ECONOMY.TRADE_MIN} shells`));
+    }
+    const hours = req.body.expires_in_hours === undefined ? ECONOMY.BOUNTY_DEFAULT_HOURS : Number(req.body.expires_in_hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > ECONOMY.BOUNTY_MAX_HOURS) {
+      return res.status(400).json(formatError(`expires_in_hours must be between 1 and ${ECONOMY.BOUNTY_MAX_HOURS}`));
+    }
+    const condition = quests.parseBountyCondition(req.body.condition);
+    if (condition.error) {
+      return res.status(400).json(formatError(condition.error));
+    }
+
+    const created = await db.createBounty(req.agent.id, title, reward, condition, hours, ECONOMY.MAX_OPEN_BOUNTIES);
+    const bounty = await db.getBounty(created.id);
+
+    io.emit('bounty:posted', formatBounty(bounty));
+    await db.logInteraction(req.agent.id, 'bounty_posted', {
+      bounty_id: bounty.id,
+      title,
+      reward,
+      condition: condition.type,
+    });
+
+    res.status(201).json(formatSuccess(formatBounty(bounty)));
+  } catch (err) {
+    logger.error('Bounty creation failed', { error: err.message, agent: req.agent.name });
+    const status = err.message.includes('Insufficient') || err.message.includes('Too many') ? 400 : 500;
+    res.status(status).json(formatError(err.message));
+  }
+});
+
+app.get('/api/v1/habitat/bounties', async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!['open', 'claimed', 'cancelled', 'expired'].includes(status)) {
+      return res.status(400).json(formatError('status must be open, claimed, cancelled or expired'));
+    }
+    let posterId;
+    if (req.query.poster) {
+      const poster = await db.getAgentByName(req.query.poster);
+      if (!poster) {
+        return res.json(formatSuccess({ bounties: [] }));
+      }
+      posterId = poster.id;
+    }
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const bounties = await db.getBounties({ status, posterId, limit });
+    res.json(formatSuccess({ bounties: bounties.map(formatBounty) }));
+  } catch (err) {
+    logger.error('Bounties fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch bounties'));
+  }
+});
+
+app.get('/api/v1/habitat/bounties/:id', async (req, res) => {
+  try {
+    const bounty = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await db.getBounty(req.params.id) : null;
+    if (!bounty) {
+      return res.status(404).json(formatError('Bounty not found'));
+    }
+    res.json(formatSuccess(formatBounty(bounty)));
+  } catch (err) {
+    logger.error('Bounty fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch bounty'));
+  }
+});
+
+app.post('/api/v1/habitat/bounties/:id/claim', auth.requireScope('economy:trade'), async (req, res) => {
+  try {
+    const bounty = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await db.getBounty(req.params.id) : null;
+    if (!bounty) {
+      return res.status(404).json(formatError('Bounty not found'));
+    }
+    if (bounty.status !== 'open' || new Date(bounty.expires_at) <= new Date()) {
+      return res.status(409).json(formatError(`Bounty is ${bounty.status === 'open' ? 'expired' : bounty.status}`));
+    }
+    if (bounty.poster_id === req.agent.id) {
+      return res.status(400).json(formatError('You cannot claim your own bounty'));
+    }
+
+    const check = await quests.verifyBountyClaim(bounty, await auth.loadAgent(req), req.body);
+    if (check.error) {
+      return res.status(422).json(formatError('Bounty condition not met', check.error));
+    }
+
+    const claimed = await db.claimBounty(bounty.id, req.agent.id, check.proof);
+    if (!claimed) {
+      return res.status(409).json(formatError('Bounty was claimed, cancelled or expired in the meantime, or the structure was used for another bounty'));
+    }
+    const updated = await db.getBounty(bounty.id);
+
+    io.emit('bounty:claimed', formatBounty(updated));
+    await db.logInteraction(req.agent.id, 'bounty_claimed', {
+      bounty_id: bounty.id,
+      title: bounty.title,
+      reward: parseInt(bounty.reward, 10),
+      target_id: bounty.poster_id,
+      target_name: bounty.poster_name,
+    });
+
+    const balance = await db.getBalance(req.agent.id);
+    res.json(formatSuccess({ ...formatBounty(updated), shells: parseInt(balance.shells, 10) }));
+  } catch (err) {
+    logger.error('Bounty claim failed', { error: err.message, agent: req.agent.name });
+    res.status(500).json(formatError('Failed to claim bounty'));
+  }
+});
+
+app.post('/api/v1/habitat/bounties/:id/cancel', auth.requireScope('economy:trade'), async (req, res) => {
+  try {
+    const closed = /^[0-9a-f-]{36}$/i.test(req.params.id)
+      ? await db.closeBounty(req.params.id, 'cancelled', req.agent.id)
+      : null;
+    if (!closed) {
+      return res.status(409).json(formatError('Only the poster can cancel an open bounty'));
+    }
+    const bounty = await db.getBounty(closed.id);
+    io.emit('bounty:closed', formatBounty(bounty));
+    res.json(formatSuccess(formatBounty(bounty)));
+  } catch (err) {
+    logger.error('Bounty cancel failed', { error: err.message });
+    res.status(500).json(formatError('Failed to cancel bounty'));
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ADMIN ROUTES
+// ═══════════════════════════════════════════════════════════════
+
+app.get('/api/v1/admin/withdrawals', auth.authenticateAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending_approval';
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const withdrawals = await db.getWithdrawalsByStatus(status, limit);
+    res.json(formatSuccess({
+      withdrawals: withdrawals.map(w => ({ ...monad.formatWithdrawal(w), agent: w.agent_name })),
+    }));
+  } catch (err) {
+    logger.error('Admin withdrawals fetch failed', { error: err.message });
+    res.status(500).json(formatError('Failed to fetch withdrawals'));
+  }
+});
+
+app.post('/api/v1/admin/withdrawals/:id/approve', auth.authenticateAdmin, async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json(formatError('Withdrawal not found'));
+    }
+    const withdrawal = await db.approveWithdrawal(req.params.id);
+    if (!withdrawal) {
+      return res.status(409).json(formatError('Withdrawal is not awaiting approval'));
+    }
+    await monad.notifyWithdrawal(io, withdrawal);
+    logger.info('Withdrawal approved', { withdrawal: withdrawal.id, shells: withdrawal.shells });
+    res.json(formatSuccess(monad.formatWithdrawal(withdrawal)));
+  } catch (err) {
+    logger.error('Withdrawal approval failed', { error: err.message });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.post('/api/v1/admin/withdrawals/:id/reject', auth.authenticateAdmin, async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json(formatError('Withdrawal not found'));
+    }
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.slice(0, 200) : '';
+    const failed = await db.failWithdrawal(
+      req.params.id, `Rejected by operator${reason ? ': ' + reason : ''}`, ['pending_approval']
+    );
+    if (!failed) {
+      return res.status(409).json(formatError('Withdrawal is not awaiting approval'));
+    }
+    await monad.notifyWithdrawal(io, failed);
+    logger.info('Withdrawal rejected', { withdrawal: failed.id, reason });
+    res.json(formatSuccess(monad.formatWithdrawal(failed)));
+  } catch (err) {
+    logger.error('Withdrawal rejection failed', { error: err.message });
+    res.status(400).json(formatError(err.message));
+  }
+});
+
+app.post('/api/v1/admin/ledger/reconcile', auth.authenticateAdmin, async (req, res) => {
+  try {
+    const repair = req.body.repair === true;
+    const drifted = await db.reconcileBalances(repair);
+    if (drifted.length > 0) {
+      logger.warn('Balances drifted from the ledger', { count: drifted.length, repaired: repair });
+    }
+    res.json(formatSuccess({ drifted, repaired: repair && drifted.length > 0 }));
+  } catch (err) {
+    logger.error('Ledger reconciliation failed', { error: err.message });
+    res.status(500).json(formatError('Failed to reconcile balances'));
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════
 // CLAIM PAGE & SKILL FILES
 // ═══════════════════════════════════════════════════════════════
@@ -832,14 +2481,56 @@ app.get('/skill.json', (req, res) => {
 // WEBSOCKET
 // ═══════════════════════════════════════════════════════════════
 
+io.use(auth.authenticateSocket);
+
 io.on('connection', (socket) => {
-  logger.info('WebSocket client connected', { id: socket.id });
+  logger.info('WebSocket client connected', { id: socket.id, agent_id: socket.data.agentId });
+
+  // Authenticated agents start out following themselves.
+  if (socket.data.agentId) {
+    interest.subscribeFollow(socket.id, socket.data.agentId, interest.DEFAULT_RADIUS);
+  }
 
+  // The global feed: every event anywhere in the habitat.
   socket.on('subscribe:habitat', () => {
-    socket.join('habitat');
+    socket.join(interest.GLOBAL_ROOM);
     logger.info('Client subscribed to habitat', { id: socket.id });
   });
 
+  socket.on('unsubscribe:habitat', () => {
+    socket.leave(interest.GLOBAL_ROOM);
+  });
+
+  socket.on('subscribe:region', (area, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { x, y, z, radius } = area || {};
+    const posCheck = validatePosition(x, y, z);
+    if (!posCheck.valid) {
+      return reply(formatError(posCheck.error));
+    }
+    reply(formatSuccess({ interest: interest.subscribeRegion(socket.id, { x, y, z }, radius) }));
+  });
+
+  socket.on('subscribe:follow', async (target, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { agent: name, radius } = target || {};
+      const agent = typeof name === 'string' ? await db.getAgentByName(name) : null;
+      if (!agent) {
+        return reply(formatError('Agent not found'));
+      }
+      reply(formatSuccess({ interest: interest.subscribeFollow(socket.id, agent.id, radius) }));
+    } catch (err) {
+      logger.error('Follow subscription failed', { error: err.message });
+      reply(formatError('Follow subscription failed'));
+    }
+  });
+
+  socket.on('unsubscribe:area', (ack) => {
+    interest.unsubscribe(socket.id);
+    if (typeof ack === 'function') ack(formatSuccess({ interest: null }));
+  });
+
   socket.on('request:state', async () => {
     try {
       const [positions, structures, recentEvents] = await Promise.all([
@@ -885,6 +2576,7 @@ io.on('connection', (socket) => {
   });
 
   socket.on('disconnect', () => {
+    interest.unsubscribe(socket.id);
     logger.info('WebSocket client disconnected', { id: socket.id });
   });
 });
@@ -901,12 +2593,24 @@ cron.schedule('*/30 * * * * *', async () => {
   }
 });
 
+// Reconciles the spatial index so rows written by other processes show up.
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    await db.loadSpatialIndex();
+  } catch (err) {
+    logger.error('Cron: Spatial index reload failed', { error: err.message });
+  }
+});
+
 cron.schedule('*/5 * * * *', async () => {
   try {
     const inactive = await db.markInactiveAgents(30);
     if (inactive.length > 0) {
-      for (const agentId of inactive) {
-        io.emit('agent:exit', { agent_id: agentId, reason: 'inactive' });
+      for (const a of inactive) {
+        interest.publish(io, 'agent:exit', { agent_id: a.agent_id, reason: 'inactive' }, {
+          at: [{ x: a.x, y: a.y, z: a.z }],
+          agents: [a.agent_id],
+        });
       }
       logger.info('Inactive agents removed', { count: inactive.length });
     }
@@ -915,6 +2619,97 @@ cron.schedule('*/5 * * * *', async () => {
   }
 });
 
+cron.schedule('* * * * *', async () => {
+  try {
+    const expired = await db.expirePaymentIntents();
+    if (expired.length > 0) {
+      logger.info('Payment intents expired', { count: expired.length });
+    }
+  } catch (err) {
+    logger.error('Cron: Payment intent expiry failed', { error: err.message });
+  }
+});
+
+cron.schedule('* * * * *', async () => {
+  try {
+    const expired = await db.getExpiredTradeOfferIds();
+    for (const offerId of expired) {
+      if (await db.closeTradeOffer(offerId, 'expired')) {
+        notifyOffer('expired', await db.getTradeOffer(offerId));
+      }
+    }
+    if (expired.length > 0) {
+      logger.info('Trade offers expired', { count: expired.length });
+    }
+  } catch (err) {
+    logger.error('Cron: Trade offer expiry failed', { error: err.message });
+  }
+});
+
+cron.schedule('* * * * *', async () => {
+  try {
+    const expired = await db.getExpiredBountyIds();
+    for (const bountyId of expired) {
+      if (await db.closeBounty(bountyId, 'expired')) {
+        io.emit('bounty:closed', formatBounty(await db.getBounty(bountyId)));
+      }
+    }
+    if (expired.length > 0) {
+      logger.info('Bounties expired', { count: expired.length });
+    }
+  } catch (err) {
+    logger.error('Cron: Bounty expiry failed', { error: err.message });
+  }
+});
+
+// Settle auctions past their end time; one failure must not hold up the rest.
+cron.schedule('* * * * *', async () => {
+  try {
+    const due = await db.getDueAuctionIds();
+    for (const auctionId of due) {
+      try {
+        if (await db.settleAuction(auctionId)) {
+          await announceAuctionSettlement(await db.getAuction(auctionId));
+        }
+      } catch (err) {
+        logger.error('Cron: Auction settlement failed', { error: err.message, auction: auctionId });
+      }
+    }
+  } catch (err) {
+    logger.error('Cron: Auction settlement failed', { error: err.message });
+  }
+});
+
+// Drop agent sockets whose API key ran out its rotation grace period.
+cron.schedule('* * * * *', async () => {
+  try {
+    const now = Date.now();
+    const sockets = await io.fetchSockets();
+    for (const socket of sockets) {
+      if (socket.data.apiKeyExpiresAt && socket.data.apiKeyExpiresAt <= now) {
+        socket.disconnect(true);
+      }
+    }
+  } catch (err) {
+    logger.error('Cron: Expired key sweep failed', { error: err.message });
+  }
+});
+
+// Balances are a cache of the ledger; report any drift rather than hide it.
+cron.schedule('15 * * * *', async () => {
+  try {
+    const drifted = await db.reconcileBalances(false);
+    if (drifted.length > 0) {
+      logger.error('Balances drifted from the ledger', {
+        count: drifted.length,
+        sample: drifted.slice(0, 5),
+      });
+    }
+  } catch (err) {
+    logger.error('Cron: Ledger reconciliation failed', { error: err.message });
+  }
+});
+
 cron.schedule('0 * * * *', async () => {
   try {
     const stats = await db.getHabitatStats();
@@ -937,6 +2732,8 @@ setInterval(async () => {
   }
 }, 2000);
 
+setInterval(() => navigation.tickNavigation(io), navigation.NAV_TICK_MS);
+
 // ═══════════════════════════════════════════════════════════════
 // AGENT SIMULATION LOOP (makes habitat feel alive)
 // ═══════════════════════════════════════════════════════════════
@@ -984,12 +2781,13 @@ setInterval(async () => {
     if (agents.length === 0) return;
     const agent = agents[Math.floor(Math.random() * agents.length)];
     const text = SIM_PHRASES[Math.floor(Math.random() * SIM_PHRASES.length)];
-    io.emit('agent:speak', {
+    const position = { x: agent.x, y: agent.y, z: agent.z };
+    interest.publish(io, 'agent:speak', {
       agent_id: agent.id, name: agent.name, avatar_color: agent.avatar_color,
       text, voice_config: { rate: 0.8 + Math.random() * 0.4, pitch: 0.8 + Math.random() * 0.4, volume: 0.8 },
-      position: { x: agent.x, y: agent.y, z: agent.z },
+      position,
       timestamp: new Date().toISOString(),
-    });
+    }, { at: [position], agents: [agent.id] });
     await db.logInteraction(agent.id, 'speak', { text });
   } catch (e) { /* silent */ }
 }, 8000);
@@ -1001,11 +2799,12 @@ setInterval(async () => {
     if (agents.length === 0) return;
     const agent = agents[Math.floor(Math.random() * agents.length)];
     const gesture = SIM_GESTURES[Math.floor(Math.random() * SIM_GESTURES.length)];
-    io.emit('agent:gesture', {
+    const position = { x: agent.x, y: agent.y, z: agent.z };
+    interest.publish(io, 'agent:gesture', {
       agent_id: agent.id, name: agent.name, gesture,
-      position: { x: agent.x, y: agent.y, z: agent.z },
+      position,
       timestamp: new Date().toISOString(),
-    });
+    }, { at: [position], agents: [agent.id] });
   } catch (e) { /* silent */ }
 }, 12000);
 
@@ -1019,10 +2818,13 @@ setInterval(async () => {
     const others = agents.filter((_, i) => i !== idx);
     const target = others[Math.floor(Math.random() * others.length)];
     const action = SIM_INTERACT_ACTIONS[Math.floor(Math.random() * SIM_INTERACT_ACTIONS.length)];
-    io.emit('agent:interact', {
+    interest.publish(io, 'agent:interact', {
       agent_id: agent.id, agent_name: agent.name,
       target_id: target.id, target_name: target.name, action,
       timestamp: new Date().toISOString(),
+    }, {
+      at: [{ x: agent.x, y: agent.y, z: agent.z }, { x: target.x, y: target.y, z: target.z }],
+      agents: [agent.id, target.id],
     });
   } catch (e) { /* silent */ }
 }, 15000);
@@ -1047,12 +2849,15 @@ setInterval(async () => {
         velocity_z: (newZ - agent.z) * 0.1,
         animation: anim, in_habitat: true,
       });
-      io.emit('agent:move', {
+      interest.publish(io, 'agent:move', {
         agent_id: agent.id, name: agent.name,
         position: { x: newX, y: newY, z: newZ },
         velocity: { x: (newX - agent.x) * 0.1, y: (newY - agent.y) * 0.1, z: (newZ - agent.z) * 0.1 },
         animation: anim, avatar_color: agent.avatar_color,
         timestamp: new Date().toISOString(),
+      }, {
+        at: [{ x: agent.x, y: agent.y, z: agent.z }, { x: newX, y: newY, z: newZ }],
+        agents: [agent.id],
       });
     }
   } catch (e) { /* silent */ }
@@ -1087,9 +2892,14 @@ async function start() {
     await db.connectRedis();
     logger.info('Redis connected');
 
+    const indexed = await db.loadSpatialIndex();
+    logger.info('Spatial index loaded', indexed);
+
     try {
       await monad.connect();
       logger.info('Monad gateway initialized');
+      monad.startDepositWatcher(io);
+      monad.startPayoutWorker(io);
     } catch (err) {
       logger.warn('Monad gateway failed to connect - entry payments will not be verified', { error: err.message });
     }
@@ -1110,6 +2920,9 @@ async function start() {
 async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}, shutting down gracefully`);
 
+  monad.stopDepositWatcher();
+  monad.stopPayoutWorker();
+
   server.close(() => {
     logger.info('HTTP server closed');
   });
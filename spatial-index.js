@@ -0,0 +1,247 @@
+'use strict';
+
+// In-memory uniform grid over the habitat. Entries are stored in the cell that
+// holds their centre; an entry may also carry half extents (structures) so box
+// queries can find anything whose bounding box reaches into the box, and a
+// tag such as the structure type. The database stays the source of truth:
+// database.js updates the two shared indexes below whenever it writes a
+// position or a structure. Listeners registered with onChange see every
+// change, so derived data such as the navigation grid can follow along
+// incrementally.
+
+const DEFAULT_CELL_SIZE = 32;
+
+function emptyBounds() {
+  return {
+    min: { x: Infinity, y: Infinity, z: Infinity },
+    max: { x: -Infinity, y: -Infinity, z: -Infinity },
+  };
+}
+
+function createSpatialIndex(cellSize = DEFAULT_CELL_SIZE) {
+  const entries = new Map();
+  const cells = new Map();
+  // Largest half extent on each axis; box queries widen their search by it.
+  let reach = { x: 0, y: 0, z: 0 };
+  // Cell coordinates spanned by everything ever inserted since the last clear.
+  let bounds = emptyBounds();
+  const listeners = [];
+  // Bumped by every upsert and remove. written holds the version of each id's
+  // last write (removals included) so sync can tell a live write from a row
+  // that was read before it.
+  let version = 0;
+  const written = new Map();
+
+  function notify(type, entry) {
+    for (const listener of listeners) listener(type, entry);
+  }
+
+  const cellCoord = v => Math.floor(v / cellSize);
+  const cellKey = (cx, cy, cz) => `${cx},${cy},${cz}`;
+
+  function detach(id) {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    const cell = cells.get(entry.cellKey);
+    cell.entries.delete(entry);
+    if (cell.entries.size === 0) cells.delete(entry.cellKey);
+    entries.delete(id);
+    notify('remove', entry);
+    return true;
+  }
+
+  function place(id, position, half, tag) {
+    detach(id);
+    const cx = cellCoord(position.x);
+    const cy = cellCoord(position.y);
+    const cz = cellCoord(position.z);
+    const key = cellKey(cx, cy, cz);
+    const entry = {
+      id,
+      x: position.x, y: position.y, z: position.z,
+      hx: half.x, hy: half.y, hz: half.z,
+      tag,
+      cellKey: key,
+    };
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { cx, cy, cz, entries: new Set() };
+      cells.set(key, cell);
+    }
+    cell.entries.add(entry);
+    entries.set(id, entry);
+    for (const [axis, c] of [['x', cx], ['y', cy], ['z', cz]]) {
+      bounds.min[axis] = Math.min(bounds.min[axis], c);
+      bounds.max[axis] = Math.max(bounds.max[axis], c);
+    }
+    reach = {
+      x: Math.max(reach.x, half.x),
+      y: Math.max(reach.y, half.y),
+      z: Math.max(reach.z, half.z),
+    };
+    notify('upsert', entry);
+    return entry;
+  }
+
+  function remove(id) {
+    written.set(id, ++version);
+    return detach(id);
+  }
+
+  function upsert(id, position, half = { x: 0, y: 0, z: 0 }, tag = null) {
+    written.set(id, ++version);
+    return place(id, position, half, tag);
+  }
+
+  // Applies a snapshot of every row (each { id, position, half, tag }) read
+  // after version() returned since. Ids written after since keep their live
+  // state; the rest take the snapshot's, and those missing from it are
+  // dropped. Unchanged entries are left alone so listeners only see the diff.
+  function sync(rows, since) {
+    const live = id => (written.get(id) || 0) > since;
+    const seen = new Set();
+    for (const { id, position, half = { x: 0, y: 0, z: 0 }, tag = null } of rows) {
+      seen.add(id);
+      if (live(id)) continue;
+      const e = entries.get(id);
+      if (e && e.x === position.x && e.y === position.y && e.z === position.z &&
+          e.hx === half.x && e.hy === half.y && e.hz === half.z && e.tag === tag) {
+        continue;
+      }
+      place(id, position, half, tag);
+    }
+    for (const id of [...entries.keys()]) {
+      if (!seen.has(id) && !live(id)) detach(id);
+    }
+    for (const [id, v] of written) {
+      if (v <= since) written.delete(id);
+    }
+  }
+
+  function clear() {
+    written.clear();
+    entries.clear();
+    cells.clear();
+    reach = { x: 0, y: 0, z: 0 };
+    bounds = emptyBounds();
+    notify('clear', null);
+  }
+
+  // Visits every cell between min and max (inclusive). When the range holds
+  // more cells than are occupied, walking the occupied cells is cheaper.
+  function forEachCell(min, max, visit) {
+    const lo = { x: cellCoord(min.x), y: cellCoord(min.y), z: cellCoord(min.z) };
+    const hi = { x: cellCoord(max.x), y: cellCoord(max.y), z: cellCoord(max.z) };
+    const span = (hi.x - lo.x + 1) * (hi.y - lo.y + 1) * (hi.z - lo.z + 1);
+
+    if (span > cells.size) {
+      for (const cell of cells.values()) {
+        if (cell.cx >= lo.x && cell.cx <= hi.x && cell.cy >= lo.y && cell.cy <= hi.y &&
+            cell.cz >= lo.z && cell.cz <= hi.z) {
+          visit(cell);
+        }
+      }
+      return;
+    }
+    for (let cx = lo.x; cx <= hi.x; cx++) {
+      for (let cy = lo.y; cy <= hi.y; cy++) {
+        for (let cz = lo.z; cz <= hi.z; cz++) {
+          const cell = cells.get(cellKey(cx, cy, cz));
+          if (cell) visit(cell);
+        }
+      }
+    }
+  }
+
+  // Entries whose centre is within radius of center, nearest first.
+  function radius(center, r, { limit = Infinity, filter } = {}) {
+    const found = [];
+    const r2 = r * r;
+    forEachCell(
+      { x: center.x - r, y: center.y - r, z: center.z - r },
+      { x: center.x + r, y: center.y + r, z: center.z + r },
+      cell => {
+        for (const e of cell.entries) {
+          const dx = e.x - center.x;
+          const dy = e.y - center.y;
+          const dz = e.z - center.z;
+          const d2 = dx * dx + dy * dy + dz * dz;
+          if (d2 <= r2 && (!filter || filter(e.id))) {
+            found.push({ id: e.id, d2 });
+          }
+        }
+      }
+    );
+    found.sort((a, b) => a.d2 - b.d2);
+    return found.slice(0, limit).map(f => ({ id: f.id, distance: Math.sqrt(f.d2) }));
+  }
+
+  // Entries whose bounding box overlaps the box from min to max. Touching
+  // faces do not count as overlap, matching the build collision check.
+  function box(min, max) {
+    const found = [];
+    forEachCell(
+      { x: min.x - reach.x, y: min.y - reach.y, z: min.z - reach.z },
+      { x: max.x + reach.x, y: max.y + reach.y, z: max.z + reach.z },
+      cell => {
+        for (const e of cell.entries) {
+          if (e.x + e.hx > min.x && e.x - e.hx < max.x &&
+              e.y + e.hy > min.y && e.y - e.hy < max.y &&
+              e.z + e.hz > min.z && e.z - e.hz < max.z) {
+            found.push({ id: e.id, position: { x: e.x, y: e.y, z: e.z }, half: { x: e.hx, y: e.hy, z: e.hz }, tag: e.tag });
+          }
+        }
+      }
+    );
+    return found;
+  }
+
+  // The k entries nearest to center. Searches a growing radius until it holds
+  // k entries: anything outside that radius is further than all of them.
+  function nearest(center, k, { maxDistance = Infinity, filter } = {}) {
+    if (k <= 0 || entries.size === 0) return [];
+    const far = Math.min(farthestCorner(center), maxDistance);
+    for (let r = cellSize; ; r *= 2) {
+      const bounded = Math.min(r, far);
+      const found = radius(center, bounded, { filter });
+      if (found.length >= k || bounded === far) return found.slice(0, k);
+    }
+  }
+
+  // Distance from center to the farthest corner of the occupied bounds, past
+  // which a wider search cannot find anything new.
+  function farthestCorner(center) {
+    const d = axis => Math.max(
+      Math.abs(bounds.min[axis] * cellSize - center[axis]),
+      Math.abs((bounds.max[axis] + 1) * cellSize - center[axis])
+    );
+    return Math.hypot(d('x'), d('y'), d('z'));
+  }
+
+  return {
+    upsert,
+    remove,
+    clear,
+    sync,
+    version: () => version,
+    radius,
+    box,
+    nearest,
+    // listener(type, entry) with type 'upsert', 'remove' or 'clear'.
+    onChange: listener => listeners.push(listener),
+    get: id => entries.get(id) || null,
+    size: () => entries.size,
+    cellSize,
+  };
+}
+
+// Shared indexes: agents currently in the habitat, and every structure.
+const agents = createSpatialIndex();
+const structures = createSpatialIndex();
+
+module.exports = {
+  createSpatialIndex,
+  agents,
+  structures,
+  DEFAULT_CELL_SIZE,
+};
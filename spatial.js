@@ -1,9 +1,11 @@
 'use strict';
 
 const db = require('./database');
+const spatialIndex = require('./spatial-index');
+const interest = require('./interest');
 const {
   logger, validatePosition, calculateDistance, validateAnimation,
-  validateSpeed, clampPosition, formatError, WORLD_BOUNDS
+  validateSpeed, clampPosition, formatError, solidParts, WORLD_BOUNDS, ECONOMY, AGENT_RADIUS
 } = require('./utils');
 
 const SPAWN_ZONES = {
@@ -14,7 +16,25 @@ const SPAWN_ZONES = {
 };
 
 const SPAWN_SCATTER_RADIUS = 30;
-const COLLISION_CHECK_RADIUS = 3;
+const MAX_NEAREST = 50;
+
+// Slide passes per move, and how far short of a surface the agent stops.
+const MAX_SLIDES = 3;
+const CONTACT_GAP = 0.01;
+
+// Exploration divides the sea floor into square columns; depth is ignored.
+const EXPLORE_CELL_SIZE = 50;
+const EXPLORE_GRID = {
+  x: Math.ceil((WORLD_BOUNDS.x.max - WORLD_BOUNDS.x.min) / EXPLORE_CELL_SIZE),
+  z: Math.ceil((WORLD_BOUNDS.z.max - WORLD_BOUNDS.z.min) / EXPLORE_CELL_SIZE),
+};
+
+function cellForPosition(pos) {
+  return {
+    x: Math.min(EXPLORE_GRID.x - 1, Math.floor((pos.x - WORLD_BOUNDS.x.min) / EXPLORE_CELL_SIZE)),
+    z: Math.min(EXPLORE_GRID.z - 1, Math.floor((pos.z - WORLD_BOUNDS.z.min) / EXPLORE_CELL_SIZE)),
+  };
+}
 
 function randomScatter(base, radius) {
   const angle = Math.random() * 2 * Math.PI;
@@ -75,19 +95,23 @@ async function enterHabitat(agentId, preferredSpawn, io) {
     in_habitat: true,
   });
 
+  // The spawn cell counts as explored but earns nothing.
+  const spawnCell = cellForPosition(spawnPos);
+  await db.discoverCell(agentId, spawnCell.x, spawnCell.z);
+
   await db.logInteraction(agentId, 'enter_habitat', {
     spawn_zone: preferredSpawn || 'random',
     position: spawnPos,
   });
 
   if (io) {
-    io.emit('agent:enter', {
+    interest.publish(io, 'agent:enter', {
       agent_id: agentId,
       name: agent.name,
       position: spawnPos,
       avatar_color: agent.avatar_color,
       avatar_accessories: agent.avatar_accessories,
-    });
+    }, { at: [spawnPos], agents: [agentId] });
   }
 
   const nearbyAgents = await db.getNearbyAgents(spawnPos.x, spawnPos.y, spawnPos.z, 100);
@@ -119,10 +143,10 @@ async function exitHabitat(agentId, io) {
   });
 
   if (io) {
-    io.emit('agent:exit', {
+    interest.publish(io, 'agent:exit', {
       agent_id: agentId,
       name: agent.name,
-    });
+    }, { at: [{ x: agent.x, y: agent.y, z: agent.z }], agents: [agentId] });
   }
 
   try {
@@ -169,6 +193,12 @@ async function moveAgent(agentId, position, velocity, animation, io) {
     logger.warn('Movement speed clamped', { agent: agent.name });
   }
 
+  const requested = { x: position.x, y: position.y, z: position.z };
+  const resolved = resolveMovement(oldPos, requested);
+  position.x = resolved.position.x;
+  position.y = resolved.position.y;
+  position.z = resolved.position.z;
+
   const positionData = {
     x: position.x,
     y: position.y,
@@ -184,8 +214,10 @@ async function moveAgent(agentId, position, velocity, animation, io) {
 
   await db.updatePosition(agentId, positionData);
 
+  const discovery = await exploreCell(agent, oldPos, position);
+
   if (io) {
-    io.emit('agent:move', {
+    interest.publish(io, 'agent:move', {
       agent_id: agentId,
       name: agent.name,
       position: { x: position.x, y: position.y, z: position.z },
@@ -193,12 +225,59 @@ async function moveAgent(agentId, position, velocity, animation, io) {
       orientation: { yaw: positionData.yaw, pitch: positionData.pitch, roll: positionData.roll },
       animation: positionData.animation,
       avatar_color: agent.avatar_color,
-    });
+    }, { at: [oldPos, position], agents: [agentId] });
   }
 
   return {
     new_position: { x: position.x, y: position.y, z: position.z },
     animation: positionData.animation,
+    ...(resolved.blocked_by && { requested_position: requested, blocked_by: resolved.blocked_by }),
+    ...(discovery && { discovered: discovery }),
+  };
+}
+
+// Pays the explore reward the first time an agent swims into a cell. Only a
+// move that crosses a cell boundary can discover anything, so most moves skip
+// the database. A failed reward never fails the move.
+async function exploreCell(agent, oldPos, newPos) {
+  const from = cellForPosition(oldPos);
+  const to = cellForPosition(newPos);
+  if (from.x === to.x && from.z === to.z) return null;
+
+  try {
+    if (!await db.discoverCell(agent.id, to.x, to.z)) return null;
+
+    const reward = await db.earnActivityReward(agent.id, ECONOMY.EXPLORE_REWARD, 'explore', `cell:${to.x}:${to.z}`);
+    await db.logInteraction(agent.id, 'explore', { cell: to, shells_earned: reward.earned });
+    return {
+      cell: to,
+      shells_earned: reward.earned,
+      ...(reward.limited_by && { reward_limited_by: reward.limited_by }),
+    };
+  } catch (err) {
+    logger.error('Exploration reward failed', { error: err.message, agent: agent.name });
+    return null;
+  }
+}
+
+// Coverage plus a text map: one row per z cell from north (min z) to south,
+// '#' for explored cells and '.' for the rest.
+async function getExploration(agentId) {
+  const cells = await db.getExploredCells(agentId);
+  const rows = Array.from({ length: EXPLORE_GRID.z }, () => Array(EXPLORE_GRID.x).fill('.'));
+  for (const c of cells) {
+    rows[c.cell_z][c.cell_x] = '#';
+  }
+  const total = EXPLORE_GRID.x * EXPLORE_GRID.z;
+
+  return {
+    explored: cells.length,
+    total_cells: total,
+    coverage_percent: Math.round((cells.length / total) * 1000) / 10,
+    cell_size: EXPLORE_CELL_SIZE,
+    grid: { x: EXPLORE_GRID.x, z: EXPLORE_GRID.z, origin: { x: WORLD_BOUNDS.x.min, z: WORLD_BOUNDS.z.min } },
+    map: rows.map(r => r.join('')),
+    cells: cells.map(c => ({ x: c.cell_x, z: c.cell_z, discovered_at: c.discovered_at })),
   };
 }
 
@@ -219,7 +298,84 @@ function clampMovement(oldPos, newPos, deltaTime) {
   );
 }
 
-async function getNearbyEntities(agentId, radius) {
+const AXES = ['x', 'y', 'z'];
+
+// Strict overlap: boxes that only touch do not collide.
+function boxesOverlap(a, b) {
+  return AXES.every(axis => a.min[axis] < b.max[axis] && a.max[axis] > b.min[axis]);
+}
+
+// Earliest t in [0, 1] at which from + delta * t enters the box, and the
+// axis it enters through; null if the segment misses it.
+function sweepBox(from, delta, box) {
+  let enter = -Infinity;
+  let exit = Infinity;
+  let axisHit = null;
+  for (const axis of AXES) {
+    if (delta[axis] === 0) {
+      if (from[axis] <= box.min[axis] || from[axis] >= box.max[axis]) return null;
+      continue;
+    }
+    let t0 = (box.min[axis] - from[axis]) / delta[axis];
+    let t1 = (box.max[axis] - from[axis]) / delta[axis];
+    if (t0 > t1) [t0, t1] = [t1, t0];
+    if (t0 > enter) {
+      enter = t0;
+      axisHit = axis;
+    }
+    exit = Math.min(exit, t1);
+  }
+  if (enter >= exit || enter < 0 || enter > 1) return null;
+  return { t: enter, axis: axisHit };
+}
+
+// Moves from `from` towards `to` without entering a structure's solid parts.
+// On contact the agent stops at the surface and slides along it with what is
+// left of the move. Parts the agent already overlaps are ignored so it can
+// always swim out. Returns { position, blocked_by } with the id of the first
+// structure that stopped or deflected the move.
+function resolveMovement(from, to) {
+  const reach = { min: {}, max: {} };
+  for (const axis of AXES) {
+    reach.min[axis] = Math.min(from[axis], to[axis]) - AGENT_RADIUS;
+    reach.max[axis] = Math.max(from[axis], to[axis]) + AGENT_RADIUS;
+  }
+  const start = { min: from, max: from };
+  const obstacles = [];
+  for (const hit of spatialIndex.structures.box(reach.min, reach.max)) {
+    for (const box of solidParts(hit.position, hit.half, hit.tag)) {
+      if (!boxesOverlap(start, box)) obstacles.push({ id: hit.id, box });
+    }
+  }
+
+  let position = { x: from.x, y: from.y, z: from.z };
+  let delta = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+  let blockedBy = null;
+  for (let pass = 0; pass < MAX_SLIDES; pass++) {
+    let first = null;
+    for (const o of obstacles) {
+      const hit = sweepBox(position, delta, o.box);
+      if (hit && (!first || hit.t < first.t)) first = { ...hit, id: o.id };
+    }
+    if (!first) {
+      position = { x: position.x + delta.x, y: position.y + delta.y, z: position.z + delta.z };
+      break;
+    }
+
+    blockedBy = blockedBy || first.id;
+    const length = Math.sqrt(delta.x * delta.x + delta.y * delta.y + delta.z * delta.z);
+    const t = Math.max(0, first.t - CONTACT_GAP / length);
+    position = { x: position.x + delta.x * t, y: position.y + delta.y * t, z: position.z + delta.z * t };
+    delta = { x: delta.x * (1 - t), y: delta.y * (1 - t), z: delta.z * (1 - t) };
+    delta[first.axis] = 0;
+    if (Math.abs(delta.x) + Math.abs(delta.y) + Math.abs(delta.z) < CONTACT_GAP) break;
+  }
+  return { position, blocked_by: blockedBy };
+}
+
+// With nearest set, returns the k closest agents and structures at any
+// distance instead of everything within radius.
+async function getNearbyEntities(agentId, radius, nearest) {
   const agent = await db.getAgentById(agentId);
   if (!agent) {
     throw new Error('Agent not found');
@@ -228,9 +384,17 @@ async function getNearbyEntities(agentId, radius) {
     throw new Error('Agent is not in the habitat');
   }
 
-  const clampedRadius = Math.max(1, Math.min(radius || 50, 300));
-  const agents = await db.getNearbyAgents(agent.x, agent.y, agent.z, clampedRadius);
-  const structures = await db.getNearbyStructures(agent.x, agent.y, agent.z, clampedRadius);
+  let agents;
+  let structures;
+  if (nearest) {
+    const k = Math.max(1, Math.min(nearest, MAX_NEAREST));
+    agents = await db.getNearestAgents(agent.x, agent.y, agent.z, k, agentId);
+    structures = await db.getNearestStructures(agent.x, agent.y, agent.z, k);
+  } else {
+    const clampedRadius = Math.max(1, Math.min(radius || 50, 300));
+    agents = await db.getNearbyAgents(agent.x, agent.y, agent.z, clampedRadius);
+    structures = await db.getNearbyStructures(agent.x, agent.y, agent.z, clampedRadius);
+  }
 
   return {
     agents: agents.filter(a => a.id !== agentId).map(a => ({
@@ -262,20 +426,19 @@ async function getNearbyEntities(agentId, radius) {
   };
 }
 
+// Box query against the structure index, so large structures whose centre is
+// far away are still caught.
 async function checkCollision(position, size) {
-  const radius = Math.max(size.width, size.length, size.height) / 2 + COLLISION_CHECK_RADIUS;
-  const structures = await db.getNearbyStructures(position.x, position.y, position.z, radius);
-
-  for (const s of structures) {
-    const overlapX = Math.abs(position.x - s.position_x) < (size.width + s.size_width) / 2;
-    const overlapY = Math.abs(position.y - s.position_y) < (size.height + s.size_height) / 2;
-    const overlapZ = Math.abs(position.z - s.position_z) < (size.length + s.size_length) / 2;
-    if (overlapX && overlapY && overlapZ) {
-      return { collides: true, structure_id: s.id, structure_name: s.name };
-    }
+  const hits = spatialIndex.structures.box(
+    { x: position.x - size.width / 2, y: position.y - size.height / 2, z: position.z - size.length / 2 },
+    { x: position.x + size.width / 2, y: position.y + size.height / 2, z: position.z + size.length / 2 }
+  );
+  if (hits.length === 0) {
+    return { collides: false };
   }
 
-  return { collides: false };
+  const structure = await db.getStructureById(hits[0].id);
+  return { collides: true, structure_id: hits[0].id, structure_name: structure ? structure.name : null };
 }
 
 async function followAgent(agentId, targetId, distance, io) {
@@ -374,7 +537,10 @@ async function updateFollowers(io) {
         const newX = agent.x + dx * moveRatio;
         const newY = agent.y + dy * moveRatio;
         const newZ = agent.z + dz * moveRatio;
-        const clamped = clampPosition(newX, newY, newZ);
+        const clamped = resolveMovement(
+          { x: agent.x, y: agent.y, z: agent.z },
+          clampPosition(newX, newY, newZ)
+        ).position;
 
         await db.updatePosition(agentId, {
           x: clamped.x, y: clamped.y, z: clamped.z,
@@ -383,14 +549,14 @@ async function updateFollowers(io) {
         });
 
         if (io) {
-          io.emit('agent:move', {
+          interest.publish(io, 'agent:move', {
             agent_id: agentId,
             name: agent.name,
             position: clamped,
             velocity: { x: dx * moveRatio, y: dy * moveRatio, z: dz * moveRatio },
             animation: 'swim',
             avatar_color: agent.avatar_color,
-          });
+          }, { at: [{ x: agent.x, y: agent.y, z: agent.z }, clamped], agents: [agentId] });
         }
       }
     }
@@ -403,10 +569,14 @@ module.exports = {
   enterHabitat,
   exitHabitat,
   moveAgent,
+  cellForPosition,
+  getExploration,
   getNearbyEntities,
   checkCollision,
   followAgent,
   stopFollowing,
   updateFollowers,
   SPAWN_ZONES,
+  EXPLORE_CELL_SIZE,
+  EXPLORE_GRID,
 };
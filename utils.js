@@ -24,6 +24,45 @@ const ECONOMY = {
   INTERACT_REWARD: 3,
   EXPLORE_REWARD: 5,
   TRADE_MIN: 1,
+  OFFER_TTL_MINUTES: 60,
+  OFFER_MAX_TTL_MINUTES: 7 * 24 * 60,
+  MAX_PENDING_OFFERS: 20,
+  AUCTION_MIN_MINUTES: 5,
+  AUCTION_MAX_MINUTES: 7 * 24 * 60,
+  AUCTION_DEFAULT_MINUTES: 60,
+  AUCTION_MIN_INCREMENT: 1,
+  BOUNTY_DEFAULT_HOURS: 24,
+  BOUNTY_MAX_HOURS: 7 * 24,
+  MAX_OPEN_BOUNTIES: 10,
+  // Activity rewards (speak, gesture, interact, build, explore) shrink when
+  // farmed: past REWARD_FULL_PER_WINDOW rewards of one kind in the window each
+  // further reward is multiplied by REWARD_DECAY again, interactions with the
+  // same target past REPEAT_TARGET_FULL are dampened the same way, and no
+  // agent earns more than DAILY_EARN_CAP from activity in 24 hours.
+  REWARD_WINDOW_MINUTES: 10,
+  REWARD_FULL_PER_WINDOW: 10,
+  REWARD_DECAY: 0.5,
+  REPEAT_TARGET_WINDOW_MINUTES: 60,
+  REPEAT_TARGET_FULL: 3,
+  DAILY_EARN_CAP: 300,
+};
+const ACTIVITY_REWARD_REASONS = ['speak', 'gesture', 'interact', 'build', 'explore'];
+
+// Building is a shell sink: the price grows with volume and is scaled by how
+// elaborate the type and how rare the material is. BASE is kept at or above
+// ECONOMY.BUILD_REWARD so no build pays for itself, and deleting a structure
+// refunds REFUND_RATE of what was paid beyond that reward, so building and
+// deleting in a loop always loses shells.
+const BUILD_COSTS = {
+  BASE: 10,
+  PER_100_VOLUME: 1,
+  TYPE_MULTIPLIER: {
+    platform: 1, wall: 1, pillar: 1, arch: 1.5, sculpture: 2, shelter: 2,
+  },
+  MATERIAL_MULTIPLIER: {
+    sand: 1, kelp: 1, coral: 1.5, shell: 1.5, stone: 2, crystal: 4,
+  },
+  REFUND_RATE: 0.5,
 };
 
 const WORLD_BOUNDS = {
@@ -32,6 +71,62 @@ const WORLD_BOUNDS = {
   z: { min: -500, max: 500 },
 };
 const MAX_SPEED = 50;
+// Agents collide with structures as a cube of this half size.
+const AGENT_RADIUS = 1;
+
+// The solid parts of each structure type, as boxes in fractions of the
+// structure's size around its centre ([x, y, z] = width, height, length).
+// The rest of the bounding box can be swum through. Structures are never
+// rotated, so arch and shelter openings always face along z.
+const SOLID = [{ min: [-0.5, -0.5, -0.5], max: [0.5, 0.5, 0.5] }];
+const COLLISION_SHAPES = {
+  platform: SOLID,
+  wall: SOLID,
+  pillar: SOLID,
+  sculpture: SOLID,
+  // Two legs and a lintel; the opening runs through along z.
+  arch: [
+    { min: [-0.5, -0.5, -0.5], max: [-0.3, 0.5, 0.5] },
+    { min: [0.3, -0.5, -0.5], max: [0.5, 0.5, 0.5] },
+    { min: [-0.3, 0.2, -0.5], max: [0.3, 0.5, 0.5] },
+  ],
+  // Floor, roof, side and back walls, and a front wall (-z) with a doorway.
+  shelter: [
+    { min: [-0.5, -0.5, -0.5], max: [0.5, -0.45, 0.5] },
+    { min: [-0.5, 0.4, -0.5], max: [0.5, 0.5, 0.5] },
+    { min: [-0.5, -0.5, -0.5], max: [-0.45, 0.5, 0.5] },
+    { min: [0.45, -0.5, -0.5], max: [0.5, 0.5, 0.5] },
+    { min: [-0.5, -0.5, 0.45], max: [0.5, 0.5, 0.5] },
+    { min: [-0.5, -0.5, -0.5], max: [-0.2, 0.5, -0.45] },
+    { min: [0.2, -0.5, -0.5], max: [0.5, 0.5, -0.45] },
+    { min: [-0.2, 0.1, -0.5], max: [0.2, 0.5, -0.45] },
+  ],
+};
+
+// World-space solid boxes ({ min, max }) of a structure with the given centre,
+// half extents and type, grown by AGENT_RADIUS so the agent itself can be
+// treated as a point. Movement and path planning both collide against these.
+function solidParts(center, half, type) {
+  const shape = COLLISION_SHAPES[type] || SOLID;
+  return shape.map(part => {
+    const box = { min: {}, max: {} };
+    ['x', 'y', 'z'].forEach((axis, i) => {
+      box.min[axis] = center[axis] + part.min[i] * half[axis] * 2 - AGENT_RADIUS;
+      box.max[axis] = center[axis] + part.max[i] * half[axis] * 2 + AGENT_RADIUS;
+    });
+    return box;
+  });
+}
+
+// API keys are `moltworld_` + 32 random chars. The first API_KEY_ID_LENGTH
+// random chars double as an indexed lookup id so only one hash is verified.
+const API_KEY_PREFIX = 'moltworld_';
+const API_KEY_ID_LENGTH = 12;
+const API_KEY_SCOPES = [
+  'world:read', 'move', 'speak', 'social', 'build',
+  'economy:read', 'economy:trade', 'profile', 'keys:manage'
+];
+const API_KEY_ALL_SCOPES = '*';
 
 const logger = {
   _format(level, message, meta) {
@@ -67,7 +162,11 @@ function generateApiKey() {
 function generateApiKeySync() {
   const crypto = require('crypto');
   const id = crypto.randomBytes(24).toString('base64url').slice(0, 32);
-  return `moltworld_${id}`;
+  return `${API_KEY_PREFIX}${id}`;
+}
+
+function getApiKeyId(apiKey) {
+  return apiKey.slice(API_KEY_PREFIX.length, API_KEY_PREFIX.length + API_KEY_ID_LENGTH);
 }
 
 function generateClaimToken() {
@@ -147,6 +246,21 @@ function validateVoiceStyle(style) {
   return VOICE_STYLES.includes(style);
 }
 
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { valid: false, error: 'Scopes must be a non-empty array' };
+  }
+  const unknown = scopes.filter(s => s !== API_KEY_ALL_SCOPES && !API_KEY_SCOPES.includes(s));
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown scopes: ${unknown.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}` };
+  }
+  return { valid: true };
+}
+
+function hasScope(granted, scope) {
+  return Array.isArray(granted) && (granted.includes(API_KEY_ALL_SCOPES) || granted.includes(scope));
+}
+
 function validateSpeed(oldPos, newPos, deltaTime) {
   if (!oldPos || !deltaTime || deltaTime <= 0) return true;
   const dist = calculateDistance(oldPos, newPos);
@@ -170,6 +284,43 @@ function formatSuccess(data) {
   };
 }
 
+function buildCost(type, material, size) {
+  const volume = size.width * size.length * size.height;
+  const base = BUILD_COSTS.BASE + (volume / 100) * BUILD_COSTS.PER_100_VOLUME;
+  return Math.ceil(base * BUILD_COSTS.TYPE_MULTIPLIER[type] * BUILD_COSTS.MATERIAL_MULTIPLIER[material]);
+}
+
+function buildRefund(paid) {
+  return Math.floor(Math.max(0, paid - ECONOMY.BUILD_REWARD) * BUILD_COSTS.REFUND_RATE);
+}
+
+// history: { recentCount, targetCount, earnedToday } from the ledger;
+// targetCount is undefined when the action has no target. limitedBy names the
+// rule that cut the reward, or is null when it was paid in full.
+function activityReward(base, history) {
+  let amount = base;
+  let limitedBy = null;
+
+  const overWindow = history.recentCount - ECONOMY.REWARD_FULL_PER_WINDOW + 1;
+  if (overWindow > 0) {
+    amount = Math.floor(amount * ECONOMY.REWARD_DECAY ** overWindow);
+    limitedBy = 'diminishing_returns';
+  }
+  if (history.targetCount !== undefined) {
+    const overTarget = history.targetCount - ECONOMY.REPEAT_TARGET_FULL + 1;
+    if (overTarget > 0) {
+      amount = Math.floor(amount * ECONOMY.REWARD_DECAY ** overTarget);
+      limitedBy = 'repeated_target';
+    }
+  }
+  const room = Math.max(0, ECONOMY.DAILY_EARN_CAP - history.earnedToday);
+  if (amount > room) {
+    amount = room;
+    limitedBy = 'daily_cap';
+  }
+  return { amount, limitedBy };
+}
+
 function clampPosition(x, y, z) {
   return {
     x: Math.max(WORLD_BOUNDS.x.min, Math.min(WORLD_BOUNDS.x.max, x)),
@@ -214,6 +365,26 @@ const buildLimiter = rateLimit({
   keyGenerator: (req) => req.agent ? req.agent.id : req.ip,
 });
 
+const socialLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: formatError('Social rate exceeded', 'Maximum 20 gestures and interactions per minute'),
+  keyGenerator: (req) => req.agent ? req.agent.id : req.ip,
+});
+
+// Each path search can expand up to 100k voxels, so planning is limited on
+// its own rather than only by the general API limit.
+const pathLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: formatError('Path planning rate exceeded', 'Maximum 30 path queries and navigations per minute'),
+  keyGenerator: (req) => req.agent ? req.agent.id : req.ip,
+});
+
 const registrationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
   max: 5,
@@ -233,6 +404,7 @@ const claimLimiter = rateLimit({
 module.exports = {
   logger,
   generateApiKeySync,
+  getApiKeyId,
   generateClaimToken,
   generateVerificationCode,
   validatePosition,
@@ -243,18 +415,30 @@ module.exports = {
   validateAnimation,
   validateGesture,
   validateVoiceStyle,
+  validateScopes,
+  hasScope,
   validateSpeed,
   formatError,
   formatSuccess,
   clampPosition,
+  buildCost,
+  buildRefund,
+  solidParts,
+  activityReward,
   apiLimiter,
   movementLimiter,
   speechLimiter,
   buildLimiter,
+  socialLimiter,
+  pathLimiter,
   registrationLimiter,
   claimLimiter,
   WORLD_BOUNDS,
   MAX_SPEED,
+  AGENT_RADIUS,
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  API_KEY_ALL_SCOPES,
   ALLOWED_ANIMATIONS,
   ALLOWED_GESTURES,
   STRUCTURE_TYPES,
@@ -262,4 +446,6 @@ module.exports = {
   VOICE_STYLES,
   VERIFICATION_WORDS,
   ECONOMY,
+  ACTIVITY_REWARD_REASONS,
+  BUILD_COSTS,
 };
@@ -1,6 +1,7 @@
 'use strict';
 
 const db = require('./database');
+const interest = require('./interest');
 const { logger, validateVoiceStyle, calculateDistance } = require('./utils');
 
 // Voice style configurations for client-side Web Speech API
@@ -53,7 +54,7 @@ async function speakInHabitat(agentId, text, voiceStyle, volume, io) {
   };
 
   if (io) {
-    io.emit('agent:speak', speechEvent);
+    interest.publish(io, 'agent:speak', speechEvent, { at: [speechEvent.position], agents: [agentId] });
   }
 
   await db.logInteraction(agentId, 'speak', {